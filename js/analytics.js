@@ -0,0 +1,131 @@
+// js/analytics.js
+// Records every answered matchup (tiers, origins, right/wrong) and
+// aggregates miss rates per tier pair, tier gap and origin.
+
+import { getTierIndex, getTierDistance } from './tierUtils.js';
+
+const ANALYTICS_KEY = 'vsrdle_analytics';
+
+// Raw matchups kept for later analysis (aggregates are never trimmed)
+const MAX_MATCHUP_LOG = 1000;
+
+let analytics = createEmptyAnalytics();
+
+function createEmptyAnalytics() {
+  return {
+    modes: {},     // { vs: { tierPairs: {}, tierGaps: {}, origins: {} }, odd: { ... } }
+    matchups: []   // [{ mode, tiers, origins, correct, date }]
+  };
+}
+
+export function loadAnalytics() {
+  try {
+    const raw = localStorage.getItem(ANALYTICS_KEY);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    analytics = { ...createEmptyAnalytics(), ...parsed };
+  } catch (err) {
+    console.warn('Failed to load analytics:', err);
+  }
+}
+
+export function saveAnalytics() {
+  try {
+    localStorage.setItem(ANALYTICS_KEY, JSON.stringify(analytics));
+  } catch (err) {
+    console.warn('Failed to save analytics:', err);
+  }
+}
+
+function getModeAnalytics(mode) {
+  if (!analytics.modes[mode]) {
+    analytics.modes[mode] = { tierPairs: {}, tierGaps: {}, origins: {} };
+  }
+  return analytics.modes[mode];
+}
+
+function bump(table, key, correct) {
+  if (!table[key]) {
+    table[key] = { seen: 0, missed: 0 };
+  }
+  table[key].seen += 1;
+  if (!correct) {
+    table[key].missed += 1;
+  }
+}
+
+/**
+ * Canonical key for a pair of tiers, strongest first (e.g. "5-B|6-A",
+ * or "6-A|6-A" for a same-tier tie round).
+ */
+export function getTierPairKey(tierA, tierB) {
+  return [tierA, tierB].sort((a, b) => getTierIndex(a) - getTierIndex(b)).join('|');
+}
+
+/**
+ * Record one answered round. `characters` are all the cards that were
+ * shown (2 in VS, 4 in Odd One Out).
+ */
+export function recordMatchup(mode, characters, correct) {
+  const table = getModeAnalytics(mode);
+  const origins = characters.map(c => c.origin || 'Unknown');
+
+  // Tier pair + gap only make sense for two-card rounds (VS, incl. ties)
+  const [tierA, tierB] = characters.map(c => c.highestTier);
+  if (characters.length === 2 && tierA && tierB) {
+    bump(table.tierPairs, getTierPairKey(tierA, tierB), correct);
+    const gap = getTierDistance(tierA, tierB);
+    if (gap !== null) bump(table.tierGaps, String(gap), correct);
+  }
+
+  for (const origin of new Set(origins)) {
+    bump(table.origins, origin, correct);
+  }
+
+  analytics.matchups.push({
+    mode,
+    tiers: characters.map(c => c.highestTier),
+    origins,
+    correct,
+    date: new Date().toISOString()
+  });
+  if (analytics.matchups.length > MAX_MATCHUP_LOG) {
+    analytics.matchups.splice(0, analytics.matchups.length - MAX_MATCHUP_LOG);
+  }
+
+  saveAnalytics();
+}
+
+/**
+ * Rows of one aggregate table sorted by miss rate (highest first).
+ * Rows seen fewer than `minSeen` times are left out as noise.
+ */
+function getBreakdown(mode, tableName, minSeen) {
+  const table = analytics.modes[mode]?.[tableName] || {};
+  return Object.entries(table)
+    .filter(([, row]) => row.seen >= minSeen)
+    .map(([key, row]) => ({ key, ...row, missRate: row.missed / row.seen }))
+    .sort((a, b) => b.missRate - a.missRate || b.seen - a.seen);
+}
+
+/**
+ * Miss rate for one tier pair, smoothed towards 0 so a single early
+ * miss doesn't dominate: (missed) / (seen + 2).
+ */
+export function getTierPairMissRate(mode, tierA, tierB) {
+  const row = analytics.modes[mode]?.tierPairs?.[getTierPairKey(tierA, tierB)];
+  if (!row) return 0;
+  return row.missed / (row.seen + 2);
+}
+
+export function getTierPairBreakdown(mode, minSeen = 3) {
+  return getBreakdown(mode, 'tierPairs', minSeen);
+}
+
+export function getTierGapBreakdown(mode, minSeen = 3) {
+  return getBreakdown(mode, 'tierGaps', minSeen);
+}
+
+export function getOriginBreakdown(mode, minSeen = 3) {
+  return getBreakdown(mode, 'origins', minSeen);
+}
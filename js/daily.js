@@ -0,0 +1,90 @@
+// js/daily.js
+// Daily challenge: a UTC-date seed shared by every player, and
+// one recorded attempt per day per mode.
+
+import { createSeededRandom } from './rng.js';
+
+const DAILY_KEY = 'vsrdle_daily';
+
+// { date: 'YYYY-MM-DD', attempts: { vs: { streak, finished }, odd: {...} } }
+let daily = {
+  date: null,
+  attempts: {}
+};
+
+/**
+ * Today's date in UTC as 'YYYY-MM-DD'. The daily challenge
+ * rolls over at 00:00 UTC for everyone.
+ */
+export function getDailyDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Milliseconds until the next UTC day starts.
+ */
+export function getTimeUntilNextDaily(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return next - now.getTime();
+}
+
+/**
+ * Seeded random generator for a mode on a given day. Each mode gets
+ * its own sequence so VS and Odd One Out dailies differ.
+ */
+export function createDailyRandom(mode, date = getDailyDate()) {
+  return createSeededRandom(`vsrdle-daily-${mode}-${date}`);
+}
+
+export function loadDaily() {
+  try {
+    const raw = localStorage.getItem(DAILY_KEY);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    daily = { ...daily, ...parsed };
+  } catch (err) {
+    console.warn('Failed to load daily progress:', err);
+  }
+}
+
+export function saveDaily() {
+  try {
+    localStorage.setItem(DAILY_KEY, JSON.stringify(daily));
+  } catch (err) {
+    console.warn('Failed to save daily progress:', err);
+  }
+}
+
+/**
+ * Today's attempt for a mode, or null if it hasn't been played yet.
+ */
+export function getDailyAttempt(mode, date = getDailyDate()) {
+  if (daily.date !== date) return null;
+  return daily.attempts[mode] || null;
+}
+
+/**
+ * Record progress of today's attempt. Called after every answer, so
+ * reloading mid-run still counts as the day's attempt.
+ */
+export function recordDailyProgress(mode, date, streak, finished) {
+  // A run that started before midnight must not wipe the new day.
+  if (daily.date && date < daily.date) return;
+
+  // Only the current day is kept; older attempts no longer lock anything.
+  if (daily.date !== date) {
+    daily = { date, attempts: {} };
+  }
+  daily.attempts[mode] = { streak, finished };
+  saveDaily();
+}
+
+/**
+ * Human-readable countdown to the next daily, e.g. "5h 12m".
+ */
+export function formatTimeUntilNextDaily(now = new Date()) {
+  const totalMinutes = Math.ceil(getTimeUntilNextDaily(now) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
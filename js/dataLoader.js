@@ -2,11 +2,30 @@
 // Loads tier hierarchy, micro origins, and character JSONs.
 // Normalizes characters and exposes a shared pool for the game.
 
-import { TIER_ORDER } from './tierUtils.js';
+import { TIER_ORDER, setTierHierarchy, isKnownTier, resolveTiers, getTierIndex } from './tierUtils.js';
 
 let tierHierarchy = [];
+let tierHierarchyLoaded = null;
+let tierHierarchyError = null;
 let microOriginsSummary = '';
+let microOriginWhitelist = new Map(); // origin -> { entries, numbers: Set }
 let characters = [];
+let keyVersionEntries = null; // built lazily from `characters`
+
+// Normalized characters per TIER_FILES entry (null until that file is in),
+// so `characters` keeps the same order whichever file arrives first
+let tierSlots = [];
+let allCharactersLoaded = null;
+
+// Unknown tier strings per tier file: file -> Map(tier string -> count)
+const unknownTierReport = new Map();
+
+// Summary arrays from the compact index, fetched on demand per tier file
+const summaryRequests = new Map();
+
+// The game starts dealing once this many characters are in; the rest
+// keep streaming into the pool in the background.
+const MIN_CHARACTERS_TO_START = 2000;
 
 // List of tier JSON files inside data/tiers/
 const TIER_FILES = [
@@ -27,9 +46,8 @@ const TIER_FILES = [
 /* ---------- Helpers ---------- */
 
 /**
- * Given an array of tier strings (AllTier from the JSON),
- * pick the strongest one according to TIER_ORDER
- * (lowest index in the ladder).
+ * Given ladder tiers (AllTier after resolveTiers), pick the strongest
+ * one according to TIER_ORDER (lowest index in the ladder).
  */
 function computeHighestTier(allTierArray) {
   if (!Array.isArray(allTierArray) || allTierArray.length === 0) return null;
@@ -74,7 +92,13 @@ function buildImageCandidates(raw) {
   if (raw.ImageURL && raw.ImageURL !== 'nan') {
     try {
       const urlObj = new URL(raw.ImageURL);
-      let lastPart = urlObj.pathname.split('/').pop() || '';
+      // Wiki URLs end in /revision/latest; the file name comes before that
+      let pathname = urlObj.pathname;
+      const revisionIndex = pathname.indexOf('/revision/');
+      if (revisionIndex !== -1) {
+        pathname = pathname.slice(0, revisionIndex);
+      }
+      let lastPart = pathname.split('/').pop() || '';
 
       // Strip query if somehow part of filename
       const qIndex = lastPart.indexOf('?');
@@ -107,25 +131,112 @@ function buildImageCandidates(raw) {
 
 
 
+/**
+ * Split the raw Key field ("'''Human''' | '''Abomination'''") into
+ * version names, dropping the wiki bold markup. 'nan' means no keys.
+ */
+function parseKeys(rawKey) {
+  if (!rawKey || rawKey === 'nan') return [];
+  return String(rawKey)
+    .split('|')
+    .map(part => part.replace(/'''/g, '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Some profiles' summaries are just their tier line, one part per key:
+// "Tier: 8-A | At least 7-A"
+const TIER_LINE_PREFIX = /^Tier:\s*/i;
+const TIER_TOKEN = /(?:(?:High|Low) )?\d+(?:-[ABC])?/;
+
+// The tier line's parts, one per key, or null when there is no tier line.
+// The compact index keeps the line as TierLine since it drops summaries.
+function splitTierLine(tierLine) {
+  if (!tierLine || !TIER_LINE_PREFIX.test(tierLine)) return null;
+  return tierLine.replace(TIER_LINE_PREFIX, '').split('|').map(part => part.trim());
+}
+
+/**
+ * Pair each key with a ladder tier. A tier line with one part per key
+ * ("Tier: Low 7-C | 7-A | 4-B | 4-B") gives each key's tier directly,
+ * the strongest one where a part names several ("At least 4-C,
+ * Possibly 3-C"), as highestTier does for AllTier.
+ * Without one, keys (listed weakest first) are spread over AllTier
+ * weakest to strongest: the first key takes the weakest tier and the
+ * last key the strongest. Versions keep tier: null when neither works.
+ */
+function buildVersions(keys, allTiers, tierLine) {
+  if (keys.length < 2) return keys.map(name => ({ name, tier: null }));
+
+  const parts = splitTierLine(tierLine);
+  if (parts && parts.length === keys.length) {
+    const lineTiers = parts.map(part => {
+      const tokens = part.match(new RegExp(TIER_TOKEN.source, 'g')) || [];
+      const { tiers } = resolveTiers(tokens);
+      return tiers.sort((a, b) => getTierIndex(a) - getTierIndex(b))[0] || null;
+    });
+    if (lineTiers.some(Boolean)) {
+      return keys.map((name, i) => ({ name, tier: lineTiers[i] }));
+    }
+  }
+
+  const weakestFirst = [...allTiers].reverse();
+  // More keys than tiers: no way to tell which keys share one
+  const paired = weakestFirst.length >= keys.length;
+  const spread = (weakestFirst.length - 1) / (keys.length - 1);
+
+  return keys.map((name, i) => ({
+    name,
+    tier: paired ? weakestFirst[Math.round(i * spread)] : null
+  }));
+}
+
+/**
+ * Ladder tiers a tier line only gives as a lower bound ("At least 7-A").
+ */
+function parseOpenTiers(tierLine) {
+  const parts = splitTierLine(tierLine);
+  if (!parts) return [];
+
+  const open = [];
+  for (const text of parts) {
+    if (!/^at least\b/i.test(text)) continue;
+    const token = text.match(TIER_TOKEN);
+    if (!token) continue;
+    const { tiers } = resolveTiers([token[0]]);
+    if (tiers.length && !open.includes(tiers[0])) open.push(tiers[0]);
+  }
+  return open;
+}
+
 /**
  * Normalize a raw JSON row from any Tier_X.json into
- * the shape used by the game.
+ * the shape used by the game. Exported for tools/validate-data.mjs;
+ * needs the tier model (loadTierHierarchy / setTierHierarchy) first.
  */
-function normalizeCharacter(raw) {
+export function normalizeCharacter(raw) {
   const name = raw.Name || '';
   const origin = raw.Origin || '';
 
-  // mainTier is often present (e.g. "Tier 7"); if not, derive from raw.Tier
+  // mainTier is often present (e.g. "Tier 7"); if not, derive it from
+  // the number in raw.Tier ("7-A" -> "Tier 7")
   let mainTier = raw.mainTier;
-  if (!mainTier && typeof raw.Tier !== 'undefined' && raw.Tier !== null) {
-    mainTier = `Tier ${raw.Tier}`;
+  const tierNumber = String(raw.Tier ?? '').match(/\d+/);
+  if (!mainTier && tierNumber) {
+    mainTier = `Tier ${Number(tierNumber[0])}`;
   }
 
-  const allTiers = Array.isArray(raw.AllTier) ? raw.AllTier : [];
+  // AllTier mapped onto the ladder (bare "6" -> "Tier 6" where it counts)
+  const { tiers: allTiers, unknown: unknownTiers } = resolveTiers(raw.AllTier);
+  if (mainTier && !isKnownTier(mainTier)) {
+    unknownTiers.push(mainTier);
+  }
   const highestTier = computeHighestTier(allTiers);
 
   // Summary key in your JSON can be "Summary" or "summaary"
   const summary = raw.Summary || raw.summaary || '';
+  const tierLine = raw.TierLine || summary;
+  const versions = buildVersions(parseKeys(raw.Key), allTiers, tierLine);
+  const openTiers = parseOpenTiers(tierLine);
 
   const pageUrl = raw.PageURL || raw.PageUrl || null;
 
@@ -143,11 +254,16 @@ function normalizeCharacter(raw) {
     mainTier: mainTier || null,
     highestTier: highestTier || null,
     allTiers,
+    unknownTiers, // tier strings the hierarchy doesn't know
+    versions,   // [{ name, tier }] from Key; tier is null when unpaired
+    openTiers,  // tiers the profile gives as "At least X"
     summary,
     pageUrl,
     imageUrl,
     altImageUrls,
+    number: typeof raw.Number === 'number' ? raw.Number : null,
     sourceFile: raw.source || null,
+    thumbUrl: raw.thumb && raw.thumb !== 'nan' ? raw.thumb : null,
     remoteImageUrl: raw.ImageURL || null,
     _raw: raw
   };
@@ -156,13 +272,24 @@ function normalizeCharacter(raw) {
 /* ---------- Public loaders ---------- */
 
 /**
- * Load the full tier hierarchy from data/tier_hierachy.txt
+ * Load the full tier hierarchy from data/tier_hierachy.txt and build the
+ * tier model from it. Characters can only be normalized once this is in,
+ * so loadAllCharacters() waits for it too.
  */
-export async function loadTierHierarchy() {
+export function loadTierHierarchy() {
+  if (!tierHierarchyLoaded) {
+    tierHierarchyLoaded = fetchTierHierarchy();
+  }
+  return tierHierarchyLoaded;
+}
+
+// On failure the ladder stays empty and getTierHierarchyError() says why
+async function fetchTierHierarchy() {
   try {
     const res = await fetch('data/tier_hierachy.txt');
     if (!res.ok) {
       console.warn('Failed to load tier_hierachy.txt:', res.status);
+      tierHierarchyError = `HTTP ${res.status}`;
       return;
     }
     const text = await res.text();
@@ -170,8 +297,14 @@ export async function loadTierHierarchy() {
       .split('\n')
       .map(line => line.trim())
       .filter(line => line.length > 0);
+    if (tierHierarchy.length === 0) {
+      tierHierarchyError = 'the file is empty';
+      return;
+    }
+    setTierHierarchy(tierHierarchy);
   } catch (err) {
     console.error('Error loading tier_hierachy.txt:', err);
+    tierHierarchyError = err.message || String(err);
   }
 }
 
@@ -179,8 +312,14 @@ export function getTierHierarchy() {
   return tierHierarchy;
 }
 
+// Why the tier ladder failed to load, or null when it loaded
+export function getTierHierarchyError() {
+  return tierHierarchyError;
+}
+
 /**
- * Load micro origin summary text (for future filters/modes).
+ * Load the micro origin summary text and parse it into the curated
+ * pool whitelist.
  */
 export async function loadMicroOrigins() {
   try {
@@ -190,6 +329,7 @@ export async function loadMicroOrigins() {
       return;
     }
     microOriginsSummary = await res.text();
+    microOriginWhitelist = parseMicroOrigins(microOriginsSummary);
   } catch (err) {
     console.error('Error loading micro_origins_summary.txt:', err);
   }
@@ -200,37 +340,216 @@ export function getMicroOriginsSummary() {
 }
 
 /**
- * Load all tier JSON files from data/tiers/ and normalize characters.
+ * Parse micro_origins_summary.txt blocks of the form
+ *   Origin: Ace Attorney
+ *   Entries in micro JSONs: 32
+ *   Numbers: 71, 81, 313, ...
+ * into Map origin -> { entries, numbers: Set<number> }.
+ */
+export function parseMicroOrigins(text) {
+  const whitelist = new Map();
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const [label, ...rest] = line.split(':');
+    const value = rest.join(':').trim();
+
+    if (label === 'Origin' && value) {
+      current = { entries: 0, numbers: new Set() };
+      whitelist.set(value, current);
+    } else if (current && label === 'Entries in micro JSONs') {
+      current.entries = Number(value) || 0;
+    } else if (current && label === 'Numbers') {
+      value.split(',')
+        .map(n => Number(n.trim()))
+        .filter(n => Number.isInteger(n))
+        .forEach(n => current.numbers.add(n));
+    }
+  }
+
+  return whitelist;
+}
+
+export function getMicroOriginWhitelist() {
+  return microOriginWhitelist;
+}
+
+/**
+ * True when a character belongs to the curated pool: a whitelisted
+ * origin and one of that origin's listed Numbers. If the whitelist
+ * failed to load every character counts, so the game stays playable.
+ */
+export function isCuratedCharacter(c) {
+  if (microOriginWhitelist.size === 0) return true;
+  const entry = microOriginWhitelist.get(c.origin);
+  return !!entry && entry.numbers.has(c.number);
+}
+
+/**
+ * True when the compact index (tools/build-index.mjs) is deployed.
+ */
+async function hasCompactIndex() {
+  try {
+    const res = await fetch('data/index/manifest.json');
+    return res.ok;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Compact index file: { fields, rows } without summaries. Each character
+ * remembers where its summary lives for loadSummary().
  */
-export async function loadAllCharacters() {
-  const loaded = [];
+async function loadCompactTierFile(file) {
+  const res = await fetch(`data/index/${file}`);
+  if (!res.ok) {
+    throw new Error(`status ${res.status}`);
+  }
+  const { fields, rows } = await res.json();
+
+  return rows.map((row, index) => {
+    const raw = Object.fromEntries(fields.map((field, i) => [field, row[i]]));
+    const character = normalizeCharacter(raw);
+    character.summaryRef = { file, index };
+    return character;
+  });
+}
 
-  for (const file of TIER_FILES) {
-    const url = `data/tiers/${file}`;
+/**
+ * Original layout: full rows (with summaries) from data/tiers/.
+ */
+async function loadRawTierFile(file) {
+  const url = `data/tiers/${file}`;
+  const res = await fetch(url);
+  if (!res.ok) {
+    // Not all Tier_X.json files may exist; that's okay.
+    console.warn(`Skipping ${url} (status ${res.status})`);
+    return [];
+  }
+  const json = await res.json();
+  if (!Array.isArray(json)) {
+    console.warn(`File ${url} does not contain an array.`);
+    return [];
+  }
+  return json.map(normalizeCharacter);
+}
+
+async function loadTierFile(file, useIndex) {
+  if (useIndex) {
     try {
-      const res = await fetch(url);
-      if (!res.ok) {
-        // Not all Tier_X.json files may exist; that's okay.
-        console.warn(`Skipping ${url} (status ${res.status})`);
-        continue;
-      }
-      const json = await res.json();
-      if (!Array.isArray(json)) {
-        console.warn(`File ${url} does not contain an array.`);
-        continue;
-      }
+      return await loadCompactTierFile(file);
+    } catch (err) {
+      console.warn(`Compact index failed for ${file}, using data/tiers:`, err);
+    }
+  }
+
+  try {
+    return await loadRawTierFile(file);
+  } catch (err) {
+    console.error('Error loading tier file:', file, err);
+    return [];
+  }
+}
 
-      for (const raw of json) {
-        const norm = normalizeCharacter(raw);
-        loaded.push(norm);
+function rebuildCharacters() {
+  characters = tierSlots.flatMap(slot => slot || []);
+  keyVersionEntries = null;
+}
+
+/**
+ * Fetch every tier file in parallel (compact index when available,
+ * data/tiers/ otherwise). Resolves as soon as enough characters are in
+ * to start playing; `onProgress(count)` fires after each file and
+ * whenAllCharactersLoaded() resolves once everything has arrived.
+ */
+export function loadAllCharacters({ onProgress } = {}) {
+  tierSlots = TIER_FILES.map(() => null);
+  rebuildCharacters();
+
+  let markReady;
+  const ready = new Promise(resolve => {
+    markReady = resolve;
+  });
+
+  allCharactersLoaded = (async () => {
+    const [useIndex] = await Promise.all([hasCompactIndex(), loadTierHierarchy()]);
+
+    await Promise.all(TIER_FILES.map(async (file, slot) => {
+      tierSlots[slot] = await loadTierFile(file, useIndex);
+      validateTierFile(file, tierSlots[slot]);
+      rebuildCharacters();
+      if (characters.length >= MIN_CHARACTERS_TO_START) {
+        markReady();
       }
-    } catch (err) {
-      console.error('Error loading tier file:', url, err);
+      onProgress?.(characters.length);
+    }));
+
+    markReady();
+    console.log(`Loaded ${characters.length} characters across all tiers.`);
+  })();
+
+  return ready;
+}
+
+/**
+ * Record (and warn about) tier strings in a file that the hierarchy
+ * doesn't know, so data problems show up instead of silently dropping
+ * characters from the ladder.
+ */
+function validateTierFile(file, fileCharacters) {
+  const counts = new Map();
+  for (const c of fileCharacters) {
+    for (const tier of c.unknownTiers) {
+      counts.set(tier, (counts.get(tier) || 0) + 1);
     }
   }
 
-  characters = loaded;
-  console.log(`Loaded ${characters.length} characters across all tiers.`);
+  if (counts.size === 0) {
+    unknownTierReport.delete(file);
+    return;
+  }
+
+  unknownTierReport.set(file, counts);
+  const list = Array.from(counts.entries())
+    .map(([tier, count]) => `"${tier}" x${count}`)
+    .join(', ');
+  console.warn(`${file}: unknown tier strings ${list}`);
+}
+
+/**
+ * Unknown tier strings found so far: Map file -> Map(tier string -> count).
+ */
+export function getUnknownTierReport() {
+  return unknownTierReport;
+}
+
+export function whenAllCharactersLoaded() {
+  return allCharactersLoaded || Promise.resolve();
+}
+
+/**
+ * Summary for a character from the compact index, fetched with the rest
+ * of its tier file's summaries the first time one is needed. Characters
+ * from data/tiers/ already carry their summary.
+ */
+export async function loadSummary(character) {
+  if (!character.summaryRef) return character.summary;
+
+  const { file, index } = character.summaryRef;
+  if (!summaryRequests.has(file)) {
+    summaryRequests.set(file, fetch(`data/index/summaries/${file}`)
+      .then(res => (res.ok ? res.json() : []))
+      .catch(err => {
+        console.warn('Failed to load summaries:', file, err);
+        return [];
+      }));
+  }
+
+  const summaries = await summaryRequests.get(file);
+  character.summary = summaries[index] || '';
+  character.summaryRef = null;
+  return character.summary;
 }
 
 /**
@@ -239,3 +558,31 @@ export async function loadAllCharacters() {
 export function getCharacters() {
   return characters;
 }
+
+/**
+ * The pool with every character whose keys are paired to tiers split
+ * into one entry per key ("Abomination (Human key)" at that key's tier).
+ * Characters without paired keys are included unchanged.
+ */
+export function getKeyVersionEntries() {
+  if (keyVersionEntries) return keyVersionEntries;
+
+  keyVersionEntries = [];
+  for (const c of characters) {
+    const paired = c.versions.filter(v => v.tier);
+    if (paired.length === 0) {
+      keyVersionEntries.push(c);
+      continue;
+    }
+    for (const version of paired) {
+      keyVersionEntries.push({
+        ...c,
+        id: `${c.id}::${version.name}`,
+        highestTier: version.tier,
+        allTiers: [version.tier],
+        keyName: version.name
+      });
+    }
+  }
+  return keyVersionEntries;
+}
@@ -0,0 +1,120 @@
+// js/explain.js
+// Answer explanations for resolved rounds (VS info panel and Odd One Out):
+// each character's tier progression, the key that reached its top tier,
+// the scale name of that tier, and the ladder gap behind the answer.
+
+import { getTierIndex, getTierDistance, getTierName, isTopTierOpenEnded, TIE_ID } from './tierUtils.js';
+
+/**
+ * "7-A: Mountain level", or just the tier when the scale has no name for it.
+ */
+export function formatTierWithName(tier) {
+  if (!tier) return '-';
+  const name = getTierName(tier);
+  return name ? `${tier}: ${name}` : tier;
+}
+
+/**
+ * Subtiers between two tiers on the ladder (0 for the same tier), not
+ * counting parent headings like "Tier 7", or null when either is unknown.
+ */
+export function getTierGap(tierA, tierB) {
+  return getTierDistance(tierA, tierB);
+}
+
+function formatGap(gap) {
+  return `${gap} subtier${gap === 1 ? '' : 's'}`;
+}
+
+/**
+ * Key that reaches the character's highestTier ("Post-Timeskip"), or
+ * null when its keys aren't paired with tiers. Key-version cards are
+ * that key by definition.
+ */
+export function getTopKey(character) {
+  if (character.keyName) return character.keyName;
+  const top = (character.versions || []).find(v => v.tier && v.tier === character.highestTier);
+  return top ? top.name : null;
+}
+
+// allTiers weakest to strongest, in ladder order
+function getTierProgression(character) {
+  return [...(character.allTiers || [])]
+    .filter(tier => getTierIndex(tier) >= 0)
+    .sort((a, b) => getTierIndex(b) - getTierIndex(a));
+}
+
+/**
+ * Explanation block for one character: top tier with its scale name,
+ * the full tier progression and which key reached the top.
+ */
+export function renderCharacterExplanation(character) {
+  const top = formatTierWithName(character.highestTier);
+  const rows = [
+    ['Top tier', isTopTierOpenEnded(character) ? `At least ${top}` : top]
+  ];
+
+  const progression = getTierProgression(character);
+  if (progression.length > 1) {
+    rows.push(['Tier progression', progression.join(' → ')]);
+  }
+
+  const topKey = getTopKey(character);
+  const versions = character.versions || [];
+  if (topKey) {
+    rows.push(['Top tier reached by', `${topKey} key`]);
+  } else if (versions.length > 1) {
+    rows.push(['Keys', `${versions.map(v => v.name).join(', ')} (not matched to tiers)`]);
+  }
+
+  return `
+    <dl class="explain-list">
+      ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+    </dl>`;
+}
+
+/**
+ * One-line reason for a VS answer.
+ */
+export function renderVsVerdict(left, right, correctId) {
+  const gap = getTierGap(left.highestTier, right.highestTier);
+
+  if (left.highestTier === right.highestTier) {
+    return `Both top out at ${formatTierWithName(left.highestTier)}, so neither is stronger.`;
+  }
+  if (gap === 0) {
+    return `${left.name} (${left.highestTier}) and ${right.name} (${right.highestTier}) ` +
+      'top out on the same step of the ladder, so neither is stronger.';
+  }
+
+  // Inconclusive: the weaker top is only "At least" and may reach the other
+  if (correctId === TIE_ID) {
+    const [weaker, stronger] = getTierIndex(left.highestTier) > getTierIndex(right.highestTier)
+      ? [left, right]
+      : [right, left];
+    return `${weaker.name} is rated at least ${weaker.highestTier}, so it may well reach ` +
+      `${stronger.name} (${stronger.highestTier}). Inconclusive.`;
+  }
+
+  const [winner, loser] = correctId === right.id ? [right, left] : [left, right];
+  const gapText = gap === null ? 'above' : `${formatGap(gap)} above`;
+  return `${winner.name} (${winner.highestTier}) tops out ${gapText} ` +
+    `${loser.name} (${loser.highestTier}) on the tier ladder.`;
+}
+
+/**
+ * One-line reason for an Odd One Out answer.
+ */
+export function renderOddVerdict(options, oddId) {
+  const odd = options.find(c => c.id === oddId);
+  const others = options.filter(c => c.id !== oddId);
+  if (!odd || others.length === 0) return '';
+
+  const sharedTier = others[0].highestTier;
+  const gap = getTierGap(odd.highestTier, sharedTier);
+  const direction = getTierIndex(odd.highestTier) < getTierIndex(sharedTier) ? 'above' : 'below';
+
+  return `The other ${others.length} share ${formatTierWithName(sharedTier)}. ` +
+    `${odd.name} tops out at ${formatTierWithName(odd.highestTier)}` +
+    (!gap ? '.' : `, ${formatGap(gap)} ${direction} them.`);
+}
@@ -1,49 +1,144 @@
 
-import { getCharacters } from './dataLoader.js';
-import { getStrongerCharacter, getTierIndex } from './tierUtils.js';
-import { recordRound } from './stats.js';
-import { getSettings } from './settings.js';
+import { getCharacters, getKeyVersionEntries, isCuratedCharacter } from './dataLoader.js';
+import { compareCharacters, getTierIndex, getTierDistance, TIE_ID } from './tierUtils.js';
+import { recordRound, recordRun } from './stats.js';
+import { recordMatchup, getTierPairMissRate } from './analytics.js';
+import { getSettings, getDifficultyKey, getTierGapRange } from './settings.js';
+import { getDailyDate, getDailyAttempt, createDailyRandom, recordDailyProgress } from './daily.js';
+import { recordRunForReview } from './runs.js';
 
 let gameState = {
   phase: 'loading',
   currentPair: null,
+  nextPair: null,       // drawn as soon as a round is answered, so its images can preload
   correctId: null,
   streak: 0,
-  usedCharacterKeys: new Set()
+  usedCharacterKeys: new Set(),
+  history: [],          // [{ characters, picked, correctId, correct }] per answered round in this run
+  reviewSaved: false,   // this run's history went to the review screen's saved runs
+  abandonRecorded: false, // this run was counted as abandoned (see endVsRun)
+  difficulty: 'normal', // stats bucket, fixed for the whole run
+  lives: 0,             // survival lives left (0 = survival off)
+  maxLives: 0,
+  adaptive: false,      // tier gaps narrow as the streak grows
+  useKeys: false,       // deal specific key versions at their own tier
+  daily: false,
+  dailyDate: null
 };
 
+// Adaptive difficulty: the target gap shrinks by this many subtiers per
+// streak point, and a tier pair's past miss rate can at most triple its weight.
+const ADAPTIVE_GAP_STEP = 2;
+const ADAPTIVE_MISS_BIAS = 2;
+
+// Share of VS rounds dealt from a single tier, where "Tie" is the answer.
+// Those have a tier gap of 0, so only difficulties allowing it deal them.
+const TIE_ROUND_CHANCE = 0.1;
+
+// Math.random for normal runs, a date-seeded generator for the daily challenge
+let random = Math.random;
+
 export function getGameState() {
   return { ...gameState };
 }
 
 export function initGameState() {
+  // A run cut short by Restart or a mode switch still counts in the
+  // run-length history and is kept for review
+  recordAbandonedRun();
+  saveRunForReview();
+
+  const settings = getSettings();
+  const daily = !!settings.dailyMode;
+  const dailyDate = daily ? getDailyDate() : null;
+  // Daily runs use the same rules for everyone, so no survival lives
+  const maxLives = daily ? 0 : Number(settings.survivalLives) || 0;
+
   gameState = {
-    phase: 'inRound',
+    // Today's daily was already played: no rounds until the next UTC day
+    phase: daily && getDailyAttempt('vs', dailyDate) ? 'dailyLocked' : 'inRound',
     currentPair: null,
+    nextPair: null,
     correctId: null,
     streak: 0,
-    usedCharacterKeys: new Set()
+    usedCharacterKeys: new Set(),
+    history: [],
+    reviewSaved: false,
+    abandonRecorded: false,
+    difficulty: getDifficultyKey({ daily }),
+    lives: maxLives,
+    maxLives,
+    // Daily runs must deal the same pairs to everyone
+    adaptive: !daily && !!settings.adaptiveDifficulty,
+    useKeys: !daily && !!settings.useKeys,
+    daily,
+    dailyDate
   };
+
+  random = daily ? createDailyRandom('vs', dailyDate) : Math.random;
 }
 
+/**
+ * Count the run in progress when the player switches to another mode,
+ * so it is recorded even if they never come back to VS.
+ */
+export function endVsRun() {
+  recordAbandonedRun();
+  saveRunForReview();
+}
 
-function getCharacterKey(c) {
+function recordAbandonedRun() {
+  if (gameState.abandonRecorded || gameState.history.length === 0 || gameState.phase === 'afterWrong') return;
+  gameState.abandonRecorded = true;
+  recordRun('vs', gameState.difficulty, gameState.streak, { abandoned: true });
+}
+
+function saveRunForReview() {
+  if (gameState.reviewSaved || gameState.history.length === 0) return;
+  gameState.reviewSaved = true;
+  recordRunForReview({
+    mode: 'vs',
+    difficulty: gameState.difficulty,
+    daily: gameState.daily,
+    dailyDate: gameState.dailyDate,
+    finished: gameState.phase === 'afterWrong'
+  }, gameState.history);
+}
+
+
+export function getCharacterKey(c) {
   const name = c.name || c._raw?.Name || '';
   const origin = c.origin || c._raw?.Origin || '';
   return `${name}::${origin}`;
 }
 
 
-function buildFilteredGroups() {
+/**
+ * Filtered character pool grouped by highestTier (Map tier -> characters).
+ * Shared by the modes that deal cards from the same pool.
+ * With `useKeys`, characters are split into their key versions.
+ */
+export function buildFilteredGroups(daily = false, { useKeys = false } = {}) {
   const settings = getSettings();
-  const allChars = getCharacters();
+  const allChars = useKeys && !daily ? getKeyVersionEntries() : getCharacters();
   let pool = allChars;
 
+  // Daily runs ignore difficulty and series filters so every player
+  // draws from the same pool.
+  if (daily) {
+    return groupByHighestTier(pool);
+  }
+
   // Very Hard: exclude Tier 0 entirely
-  if (settings.veryHardMode) {
+  if (getTierGapRange().excludeTier0) {
     pool = pool.filter(c => c.highestTier !== 'Tier 0');
   }
 
+  // Curated pool: whitelisted origins and Numbers only
+  if (settings.curatedPool) {
+    pool = pool.filter(isCuratedCharacter);
+  }
+
   // Custom series filter
   if (
     settings.customMode &&
@@ -54,6 +149,11 @@ function buildFilteredGroups() {
     pool = pool.filter(c => allowed.has(c.origin));
   }
 
+  return groupByHighestTier(pool);
+}
+
+
+function groupByHighestTier(pool) {
   const groups = new Map();
   for (const c of pool) {
     if (!c.highestTier) continue;
@@ -68,22 +168,94 @@ function buildFilteredGroups() {
 }
 
 
-function pickCharacterFromGroup(group) {
+function pickCharacterFromGroup(group, usedKeys, rng) {
   if (!group || !group.length) return null;
-  const available = group.filter(c => !gameState.usedCharacterKeys.has(getCharacterKey(c)));
+  const available = group.filter(c => !usedKeys.has(getCharacterKey(c)));
   if (!available.length) return null;
-  return available[Math.floor(Math.random() * available.length)];
+  return available[Math.floor(rng() * available.length)];
 }
 
 
-export function startNewRound() {
-  const settings = getSettings();
-  const groups = buildFilteredGroups();
+/**
+ * Adaptive weights for candidate tier pairs: pairs near a target gap are
+ * favoured, starting from the widest gap on offer and narrowing towards
+ * the smallest as `streak` grows. Pairs the player has missed before
+ * (VS analytics) get extra weight on top.
+ */
+function getAdaptiveWeights(candidatePairs, streak) {
+  const gaps = candidatePairs.map(([tA, tB]) => getTierDistance(tA, tB));
+  const minGap = Math.min(...gaps);
+  const maxGap = Math.max(...gaps);
+  const targetGap = Math.max(minGap, maxGap - streak * ADAPTIVE_GAP_STEP);
+
+  return candidatePairs.map(([tA, tB], i) => {
+    const closeness = 1 / (1 + Math.abs(gaps[i] - targetGap)) ** 2;
+    const missBias = 1 + ADAPTIVE_MISS_BIAS * getTierPairMissRate('vs', tA, tB);
+    return closeness * missBias;
+  });
+}
+
+function pickWeighted(items, weights, rng) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let roll = rng() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+
+/**
+ * Two different characters from the same tier: a stalemate round.
+ */
+function drawTiePair(groups, usedKeys, rng) {
+  const tiers = Array.from(groups.keys()).filter(tier => getTierIndex(tier) >= 0);
+  const tier = tiers[Math.floor(rng() * tiers.length)];
+  const left = pickCharacterFromGroup(groups.get(tier), usedKeys, rng);
+  if (!left) return null;
+
+  const right = pickCharacterFromGroup(
+    groups.get(tier),
+    new Set([...usedKeys, getCharacterKey(left)]),
+    rng
+  );
+  if (!right) return null;
+
+  return { left, right, correctId: TIE_ID };
+}
+
+
+/**
+ * Draw a VS pair from the filtered pool, skipping characters whose
+ * Name+Origin is in `usedKeys`. Shared by every mode built on VS pairs.
+ * Pass a `streak` to weight tier pairs adaptively instead of uniformly.
+ * With `allowTies`, some rounds pair two characters from the same tier
+ * (when the difficulty's gap range starts at 0), and pairs the tier
+ * comparison can't settle are kept too; both get correctId TIE_ID.
+ * Without it such pairs are redrawn. With `useKeys`, cards can be specific key
+ * versions (they carry a `keyName`).
+ * Returns { left, right, correctId } or null if no pair can be formed.
+ */
+export function drawPair({
+  usedKeys = new Set(),
+  rng = Math.random,
+  daily = false,
+  streak = null,
+  allowTies = false,
+  useKeys = false
+} = {}) {
+  const { minTierGap, maxTierGap } = getTierGapRange({ daily });
+  const groups = buildFilteredGroups(daily, { useKeys });
   const tiers = Array.from(groups.keys()).filter(key => (groups.get(key) || []).length > 0);
 
+  if (allowTies && minTierGap === 0 && rng() < TIE_ROUND_CHANCE) {
+    const tiePair = drawTiePair(groups, usedKeys, rng);
+    if (tiePair) return tiePair;
+  }
+
   if (tiers.length < 2) {
-    gameState.phase = 'error';
-    return;
+    return null;
   }
 
   let candidatePairs = [];
@@ -93,58 +265,82 @@ export function startNewRound() {
       const tA = tiers[i];
       const tB = tiers[j];
 
-      const idxA = getTierIndex(tA);
-      const idxB = getTierIndex(tB);
-      const distance = Math.abs(idxA - idxB);
-
-      if (settings.veryHardMode) {
-        
-        if (distance === 3) {
-          candidatePairs.push([tA, tB]);
-        }
-      } else {
-        
-        if (distance > 0) {
-          candidatePairs.push([tA, tB]);
-        }
+      // Different tiers only: a gap of 0 here would be "Tier 7" vs High 7-A
+      const distance = getTierDistance(tA, tB);
+
+      if (distance !== null && distance >= Math.max(1, minTierGap) && distance <= maxTierGap) {
+        candidatePairs.push([tA, tB]);
       }
     }
   }
 
-  if (settings.veryHardMode && candidatePairs.length === 0) {
-    gameState.phase = 'error';
-    return;
+  if (candidatePairs.length === 0) {
+    return null;
   }
 
+  const weights = streak === null ? null : getAdaptiveWeights(candidatePairs, streak);
+
   let attempts = 0;
   while (attempts < 40) {
-    const [tierA, tierB] = candidatePairs[Math.floor(Math.random() * candidatePairs.length)];
-    const left = pickCharacterFromGroup(groups.get(tierA));
-    const right = pickCharacterFromGroup(groups.get(tierB));
-
-    if (!left || !right) {
+    const [tierA, tierB] = weights
+      ? pickWeighted(candidatePairs, weights, rng)
+      : candidatePairs[Math.floor(rng() * candidatePairs.length)];
+    const left = pickCharacterFromGroup(groups.get(tierA), usedKeys, rng);
+    const right = pickCharacterFromGroup(groups.get(tierB), usedKeys, rng);
+
+    // Key versions of one character can sit in different tiers
+    if (!left || !right || getCharacterKey(left) === getCharacterKey(right)) {
       attempts++;
       continue;
     }
 
-    const stronger = getStrongerCharacter(left, right);
+    const result = compareCharacters(left, right);
 
-    if (!stronger) {
+    // "At least" tops can leave a pair inconclusive
+    if (result === 'tie' && allowTies) {
+      return { left, right, correctId: TIE_ID };
+    }
+    if (result !== 'a' && result !== 'b') {
       attempts++;
       continue;
     }
 
-    gameState.currentPair = { left, right };
-    gameState.correctId = stronger.id;
-    gameState.phase = 'inRound';
+    return { left, right, correctId: result === 'a' ? left.id : right.id };
+  }
+
+  return null;
+}
+
+
+function drawRoundPair() {
+  return drawPair({
+    usedKeys: gameState.usedCharacterKeys,
+    rng: random,
+    daily: gameState.daily,
+    streak: gameState.adaptive ? gameState.streak : null,
+    allowTies: true,
+    useKeys: gameState.useKeys
+  });
+}
+
+export function startNewRound() {
+  if (gameState.phase === 'dailyLocked') return;
+
+  const pair = gameState.nextPair || drawRoundPair();
+  gameState.nextPair = null;
+
+  if (!pair) {
+    gameState.phase = 'error';
     return;
   }
 
-  gameState.phase = 'error';
+  gameState.currentPair = { left: pair.left, right: pair.right };
+  gameState.correctId = pair.correctId;
+  gameState.phase = 'inRound';
 }
 
 /**
- * Handle card selection
+ * Handle card selection, or TIE_ID for the "Tie / Inconclusive" answer
  */
 export function handleChoice(selectedId) {
   if (gameState.phase !== 'inRound' || !gameState.currentPair) {
@@ -154,27 +350,47 @@ export function handleChoice(selectedId) {
   const { left, right } = gameState.currentPair;
   const correctId = gameState.correctId;
 
-  const selected =
-    left.id === selectedId ? left :
-    right.id === selectedId ? right :
-    null;
-
-  if (!selected) return { valid: false };
+  if (selectedId !== TIE_ID && selectedId !== left.id && selectedId !== right.id) {
+    return { valid: false };
+  }
 
   // Mark both characters as used for this run
   gameState.usedCharacterKeys.add(getCharacterKey(left));
   gameState.usedCharacterKeys.add(getCharacterKey(right));
 
-  const correct = selected.id === correctId;
+  const correct = selectedId === correctId;
+  gameState.history.push({ characters: [left, right], picked: selectedId, correctId, correct });
+  recordMatchup('vs', [left, right], correct);
 
   if (correct) {
     gameState.streak++;
     gameState.phase = 'afterCorrect';
-    recordRound(true, gameState.streak);
+    recordRound('vs', gameState.difficulty, true, gameState.streak);
+  } else if (gameState.lives > 1) {
+    // Survival: a miss costs a life, the run and its streak carry on
+    gameState.lives--;
+    gameState.phase = 'afterLifeLost';
+    recordRound('vs', gameState.difficulty, false, gameState.streak);
   } else {
-    recordRound(false, gameState.streak);
+    gameState.lives = 0;
+    recordRound('vs', gameState.difficulty, false, gameState.streak);
+    recordRun('vs', gameState.difficulty, gameState.streak);
     gameState.phase = 'afterWrong';
+  }
+
+  const runOver = gameState.phase === 'afterWrong';
+
+  // Daily attempts keep the run's final streak, so record before it resets
+  if (gameState.daily) {
+    recordDailyProgress('vs', gameState.dailyDate, gameState.streak, runOver);
+  }
+
+  if (runOver) {
+    saveRunForReview();
     gameState.streak = 0;
+  } else {
+    // Same draw startNewRound would make, just earlier
+    gameState.nextPair = drawRoundPair();
   }
 
   return {
@@ -183,6 +399,7 @@ export function handleChoice(selectedId) {
     selectedId,
     correctId,
     streak: gameState.streak,
+    lives: gameState.lives,
     phase: gameState.phase
   };
 }
@@ -191,10 +408,6 @@ export function handleChoice(selectedId) {
  * Restart run (clears repeats)
  */
 export function restartGame() {
-  gameState.phase = 'inRound';
-  gameState.currentPair = null;
-  gameState.correctId = null;
-  gameState.streak = 0;
-  gameState.usedCharacterKeys = new Set();
+  initGameState();
   startNewRound();
 }
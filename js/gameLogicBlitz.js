@@ -0,0 +1,169 @@
+// js/gameLogicBlitz.js
+// Timed "blitz" mode: answer as many VS pairs as possible in 60 seconds.
+// Wrong answers cost time instead of ending the run; closer tier gaps
+// are worth more points.
+
+import { drawPair, getCharacterKey } from './gameLogic.js';
+import { getTierDistance } from './tierUtils.js';
+import { recordRound, recordHighScore } from './stats.js';
+import { recordMatchup } from './analytics.js';
+import { getDifficultyKey } from './settings.js';
+
+export const BLITZ_DURATION_MS = 60000;
+export const WRONG_ANSWER_PENALTY_MS = 5000;
+
+// Adjacent subtiers are worth MAX_POINTS, every extra subtier of gap one less
+const MAX_POINTS = 10;
+
+let blitzState = {
+  phase: 'loading',      // 'loading' | 'ready' | 'inRound' | 'finished'
+  currentPair: null,
+  correctId: null,
+  upcomingPair: null,    // next pair, drawn early so its images can preload
+  score: 0,
+  streak: 0,
+  answered: 0,
+  correctCount: 0,
+  endsAt: 0,             // timestamp (ms) when the run's clock hits zero
+  lastResult: null,      // { correct, points, penaltyMs } for UI feedback
+  highScoreRank: null,   // rank reached in the high-score table, if any
+  difficulty: 'normal',
+  usedCharacterKeys: new Set()
+};
+
+export function getBlitzState() {
+  return { ...blitzState };
+}
+
+export function initBlitzState() {
+  blitzState = {
+    phase: 'ready',
+    currentPair: null,
+    correctId: null,
+    upcomingPair: null,
+    score: 0,
+    streak: 0,
+    answered: 0,
+    correctCount: 0,
+    endsAt: 0,
+    lastResult: null,
+    highScoreRank: null,
+    difficulty: getDifficultyKey({ mode: 'blitz' }),
+    usedCharacterKeys: new Set()
+  };
+}
+
+/**
+ * Points for a correct answer: closer tiers are harder, so worth more.
+ */
+export function getPairPoints(left, right) {
+  const gap = getTierDistance(left.highestTier, right.highestTier) ?? 0;
+  return Math.max(1, MAX_POINTS + 1 - gap);
+}
+
+export function getBlitzTimeLeft(now = Date.now()) {
+  if (blitzState.phase !== 'inRound') return 0;
+  return Math.max(0, blitzState.endsAt - now);
+}
+
+/**
+ * Start the clock and deal the first pair.
+ */
+export function startBlitzRun(now = Date.now()) {
+  initBlitzState();
+  blitzState.endsAt = now + BLITZ_DURATION_MS;
+  nextBlitzPair();
+}
+
+function nextBlitzPair() {
+  const pair = blitzState.upcomingPair || drawPair({ usedKeys: blitzState.usedCharacterKeys });
+
+  if (!pair) {
+    // Pool ran dry: end the run with whatever was scored
+    blitzState.currentPair = null;
+    finishBlitzRun();
+    return;
+  }
+
+  blitzState.currentPair = { left: pair.left, right: pair.right };
+  blitzState.correctId = pair.correctId;
+  blitzState.phase = 'inRound';
+
+  // The pair on screen will be used by the time the upcoming one is dealt
+  blitzState.upcomingPair = drawPair({
+    usedKeys: new Set([
+      ...blitzState.usedCharacterKeys,
+      getCharacterKey(pair.left),
+      getCharacterKey(pair.right)
+    ])
+  });
+}
+
+function finishBlitzRun() {
+  if (blitzState.phase === 'finished') return;
+  blitzState.phase = 'finished';
+  blitzState.highScoreRank = recordHighScore('blitz', blitzState.difficulty, blitzState.score);
+}
+
+/**
+ * Advance the clock. Ends the run once time is up.
+ */
+export function tickBlitz(now = Date.now()) {
+  if (blitzState.phase !== 'inRound') return;
+  if (now >= blitzState.endsAt) {
+    finishBlitzRun();
+  }
+}
+
+/**
+ * Handle card selection. The next pair is dealt immediately.
+ */
+export function handleBlitzChoice(selectedId, now = Date.now()) {
+  tickBlitz(now);
+  if (blitzState.phase !== 'inRound' || !blitzState.currentPair) {
+    return { valid: false };
+  }
+
+  const { left, right } = blitzState.currentPair;
+  if (left.id !== selectedId && right.id !== selectedId) {
+    return { valid: false };
+  }
+
+  blitzState.usedCharacterKeys.add(getCharacterKey(left));
+  blitzState.usedCharacterKeys.add(getCharacterKey(right));
+
+  const correct = selectedId === blitzState.correctId;
+  let points = 0;
+  let penaltyMs = 0;
+
+  blitzState.answered += 1;
+  if (correct) {
+    points = getPairPoints(left, right);
+    blitzState.score += points;
+    blitzState.correctCount += 1;
+    blitzState.streak += 1;
+  } else {
+    penaltyMs = WRONG_ANSWER_PENALTY_MS;
+    blitzState.endsAt -= penaltyMs;
+    blitzState.streak = 0;
+  }
+
+  recordRound('blitz', blitzState.difficulty, correct, blitzState.streak);
+  recordMatchup('blitz', [left, right], correct);
+
+  blitzState.lastResult = { correct, points, penaltyMs };
+
+  tickBlitz(now);
+  if (blitzState.phase === 'inRound') {
+    nextBlitzPair();
+  }
+
+  return {
+    valid: true,
+    correct,
+    points,
+    penaltyMs,
+    score: blitzState.score,
+    phase: blitzState.phase
+  };
+}
@@ -0,0 +1,144 @@
+// js/gameLogicGuess.js
+// Tier-guess mode: one character card, the player picks its highestTier
+// from the TIER_ORDER ladder. Exact hits score full points, near misses
+// score partial credit by ladder distance.
+
+import { buildFilteredGroups, getCharacterKey } from './gameLogic.js';
+import { getTierDistance, isLadderStep } from './tierUtils.js';
+import { recordRound, recordHighScore } from './stats.js';
+import { getDifficultyKey } from './settings.js';
+
+export const GUESS_ROUNDS_PER_RUN = 10;
+export const GUESS_MAX_POINTS = 10;
+
+// Points lost per subtier between the guess and the real tier
+const POINTS_PER_STEP = 2;
+
+let guessState = {
+  phase: 'loading',      // 'loading' | 'inRound' | 'afterGuess' | 'finished' | 'error'
+  character: null,
+  guessedTier: null,
+  distance: null,        // ladder distance of the last guess
+  points: 0,             // points for the last guess
+  round: 0,              // 1-based round number within the run
+  score: 0,
+  streak: 0,             // consecutive exact hits
+  highScoreRank: null,   // rank reached in the high-score table, if any
+  difficulty: 'normal',
+  usedCharacterKeys: new Set()
+};
+
+export function getGuessState() {
+  return { ...guessState };
+}
+
+export function initGuessState() {
+  guessState = {
+    phase: 'inRound',
+    character: null,
+    guessedTier: null,
+    distance: null,
+    points: 0,
+    round: 0,
+    score: 0,
+    streak: 0,
+    highScoreRank: null,
+    difficulty: getDifficultyKey({ mode: 'guess' }),
+    usedCharacterKeys: new Set()
+  };
+}
+
+/**
+ * Points for a guess `distance` subtiers away from the real tier.
+ */
+export function getGuessPoints(distance) {
+  return Math.max(0, GUESS_MAX_POINTS - distance * POINTS_PER_STEP);
+}
+
+/**
+ * Deal the next character. Tiers are drawn uniformly (not by how many
+ * characters they hold) so rare tiers show up as often as 9-B.
+ */
+export function startNewGuessRound() {
+  if (guessState.round >= GUESS_ROUNDS_PER_RUN) {
+    guessState.phase = 'finished';
+    return;
+  }
+
+  const groups = buildFilteredGroups();
+  // Only tiers the ladder offers as guesses, not parent headings ("Tier 7")
+  const tiers = Array.from(groups.keys()).filter(isLadderStep);
+
+  let character = null;
+  let attempts = 0;
+  while (!character && attempts < 40 && tiers.length > 0) {
+    const tier = tiers[Math.floor(Math.random() * tiers.length)];
+    const available = groups.get(tier)
+      .filter(c => !guessState.usedCharacterKeys.has(getCharacterKey(c)));
+    if (available.length > 0) {
+      character = available[Math.floor(Math.random() * available.length)];
+    }
+    attempts++;
+  }
+
+  if (!character) {
+    guessState.phase = 'error';
+    return;
+  }
+
+  guessState.round += 1;
+  guessState.character = character;
+  guessState.guessedTier = null;
+  guessState.distance = null;
+  guessState.points = 0;
+  guessState.phase = 'inRound';
+}
+
+/**
+ * Player picked a tier from the ladder.
+ */
+export function handleTierGuess(tier) {
+  if (guessState.phase !== 'inRound' || !guessState.character) {
+    return { valid: false };
+  }
+
+  const distance = getTierDistance(tier, guessState.character.highestTier);
+  if (distance === null || !isLadderStep(tier)) {
+    return { valid: false };
+  }
+
+  const points = getGuessPoints(distance);
+  const exact = distance === 0;
+
+  guessState.usedCharacterKeys.add(getCharacterKey(guessState.character));
+  guessState.guessedTier = tier;
+  guessState.distance = distance;
+  guessState.points = points;
+  guessState.score += points;
+  guessState.streak = exact ? guessState.streak + 1 : 0;
+  guessState.phase = 'afterGuess';
+
+  recordRound('guess', guessState.difficulty, exact, guessState.streak);
+
+  const isLastRound = guessState.round >= GUESS_ROUNDS_PER_RUN;
+  if (isLastRound) {
+    guessState.highScoreRank = recordHighScore('guess', guessState.difficulty, guessState.score);
+  }
+
+  return {
+    valid: true,
+    exact,
+    distance,
+    points,
+    score: guessState.score,
+    isLastRound
+  };
+}
+
+/**
+ * Restart run (new 10 rounds, clears repeats)
+ */
+export function restartGuessGame() {
+  initGuessState();
+  startNewGuessRound();
+}
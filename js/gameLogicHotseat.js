@@ -0,0 +1,218 @@
+// js/gameLogicHotseat.js
+// Hot-seat (pass-and-play) mode: two or more named players answer the
+// same VS pair one after another on one device. Picks stay hidden until
+// everyone has answered, then the round is revealed and scored.
+// The game ends after a set number of rounds (highest score wins) or, in
+// sudden death, once one player is left: whoever misses a round that
+// someone else gets right is eliminated.
+
+import { drawPair, getCharacterKey } from './gameLogic.js';
+import { TIE_ID } from './tierUtils.js';
+
+export const HOTSEAT_MIN_PLAYERS = 2;
+export const HOTSEAT_MAX_PLAYERS = 6;
+export const HOTSEAT_ROUND_OPTIONS = [5, 10, 20];
+
+let hotseatState = {
+  phase: 'setup',        // 'setup' | 'handoff' | 'picking' | 'reveal' | 'finished' | 'error'
+  players: [],           // [{ name, score, streak, bestStreak, pick, eliminatedRound }]
+  order: [],             // indexes of the players still in, in this round's answering order
+  turn: 0,               // position in `order` of the player answering now
+  round: 0,              // 1-based round number
+  maxRounds: 10,
+  suddenDeath: false,    // eliminate players who miss a split round
+  currentPair: null,
+  correctId: null,
+  winners: [],           // player indexes, once finished
+  usedCharacterKeys: new Set()
+};
+
+export function getHotseatState() {
+  return {
+    ...hotseatState,
+    players: hotseatState.players.map(p => ({ ...p })),
+    currentPlayer: hotseatState.order[hotseatState.turn] ?? null
+  };
+}
+
+/**
+ * Back to the setup screen (names, rounds, rule).
+ */
+export function resetHotseat() {
+  hotseatState = {
+    ...hotseatState,
+    phase: 'setup',
+    players: [],
+    order: [],
+    turn: 0,
+    round: 0,
+    currentPair: null,
+    correctId: null,
+    winners: [],
+    usedCharacterKeys: new Set()
+  };
+}
+
+/**
+ * Start a game. Blank names become "Player N"; the player count is
+ * clamped to HOTSEAT_MIN_PLAYERS..HOTSEAT_MAX_PLAYERS.
+ */
+export function startHotseatGame({ names = [], maxRounds = 10, suddenDeath = false } = {}) {
+  const count = Math.min(HOTSEAT_MAX_PLAYERS, Math.max(HOTSEAT_MIN_PLAYERS, names.length));
+  const players = Array.from({ length: count }, (_, i) => ({
+    name: (names[i] || '').trim() || `Player ${i + 1}`,
+    score: 0,
+    streak: 0,
+    bestStreak: 0,
+    pick: null,
+    eliminatedRound: null  // sudden death: round the player went out in
+  }));
+
+  hotseatState = {
+    phase: 'handoff',
+    players,
+    order: [],
+    turn: 0,
+    round: 0,
+    maxRounds: Math.max(1, Number(maxRounds) || 10),
+    suddenDeath: !!suddenDeath,
+    currentPair: null,
+    correctId: null,
+    winners: [],
+    usedCharacterKeys: new Set()
+  };
+
+  startHotseatRound();
+}
+
+/**
+ * Deal the next pair. The first picker rotates every round so nobody
+ * always answers first.
+ */
+export function startHotseatRound() {
+  const pair = drawPair({ usedKeys: hotseatState.usedCharacterKeys, allowTies: true });
+  if (!pair) {
+    // Pool ran dry mid-game: the current leaders win
+    if (hotseatState.round > 0) {
+      hotseatState.winners = getLeaders();
+      hotseatState.phase = 'finished';
+    } else {
+      hotseatState.phase = 'error';
+    }
+    return;
+  }
+
+  const active = getActivePlayers();
+  const first = hotseatState.round % active.length;
+
+  hotseatState.round += 1;
+  hotseatState.currentPair = { left: pair.left, right: pair.right };
+  hotseatState.correctId = pair.correctId;
+  hotseatState.order = active.map((_, i) => active[(first + i) % active.length]);
+  hotseatState.turn = 0;
+  hotseatState.players.forEach(p => {
+    p.pick = null;
+  });
+  hotseatState.phase = 'handoff';
+}
+
+/**
+ * The next player has the device: show them the pair.
+ */
+export function beginHotseatTurn() {
+  if (hotseatState.phase !== 'handoff') return;
+  hotseatState.phase = 'picking';
+}
+
+/**
+ * Store the current player's pick (a card id or TIE_ID) without
+ * revealing anything. Once the last player has picked, the round is
+ * revealed and scored.
+ */
+export function submitHotseatPick(selectedId) {
+  if (hotseatState.phase !== 'picking' || !hotseatState.currentPair) {
+    return { valid: false };
+  }
+
+  const { left, right } = hotseatState.currentPair;
+  if (selectedId !== TIE_ID && selectedId !== left.id && selectedId !== right.id) {
+    return { valid: false };
+  }
+
+  const player = hotseatState.players[hotseatState.order[hotseatState.turn]];
+  player.pick = selectedId;
+  hotseatState.turn += 1;
+
+  if (hotseatState.turn < hotseatState.order.length) {
+    hotseatState.phase = 'handoff';
+    return { valid: true, revealed: false };
+  }
+
+  revealHotseatRound();
+  return { valid: true, revealed: true };
+}
+
+function revealHotseatRound() {
+  const { left, right } = hotseatState.currentPair;
+  hotseatState.usedCharacterKeys.add(getCharacterKey(left));
+  hotseatState.usedCharacterKeys.add(getCharacterKey(right));
+
+  const answering = hotseatState.order.map(index => hotseatState.players[index]);
+  let correctCount = 0;
+  for (const player of answering) {
+    if (player.pick === hotseatState.correctId) {
+      player.score += 1;
+      player.streak += 1;
+      player.bestStreak = Math.max(player.bestStreak, player.streak);
+      correctCount++;
+    } else {
+      player.streak = 0;
+    }
+  }
+
+  // Sudden death: a miss only knocks a player out when someone else got
+  // the round right, so a round everyone misses eliminates nobody
+  if (hotseatState.suddenDeath && correctCount > 0) {
+    for (const player of answering) {
+      if (player.pick !== hotseatState.correctId) {
+        player.eliminatedRound = hotseatState.round;
+      }
+    }
+  }
+
+  const gameOver = hotseatState.suddenDeath
+    ? getActivePlayers().length <= 1
+    : hotseatState.round >= hotseatState.maxRounds;
+
+  if (gameOver) {
+    hotseatState.winners = getLeaders();
+    hotseatState.phase = 'finished';
+  } else {
+    hotseatState.phase = 'reveal';
+  }
+}
+
+// Indexes of the players not eliminated (everyone outside sudden death)
+function getActivePlayers() {
+  return hotseatState.players
+    .map((p, index) => (p.eliminatedRound === null ? index : -1))
+    .filter(index => index >= 0);
+}
+
+// Indexes of the players still in with the top score (several on a draw)
+function getLeaders() {
+  const active = getActivePlayers();
+  const best = Math.max(...active.map(index => hotseatState.players[index].score));
+  return active.filter(index => hotseatState.players[index].score === best);
+}
+
+/**
+ * Replay with the same players and rules, scores reset.
+ */
+export function restartHotseatGame() {
+  startHotseatGame({
+    names: hotseatState.players.map(p => p.name),
+    maxRounds: hotseatState.maxRounds,
+    suddenDeath: hotseatState.suddenDeath
+  });
+}
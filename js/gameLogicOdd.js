@@ -1,34 +1,95 @@
 
 
-import { getCharacters } from './dataLoader.js';
-import { getSettings } from './settings.js';
-import { recordRound } from './stats.js';
+import { getCharacters, isCuratedCharacter } from './dataLoader.js';
+import { getSettings, getDifficultyKey, getTierGapRange } from './settings.js';
+import { getTierDistance } from './tierUtils.js';
+import { recordRound, recordRun } from './stats.js';
+import { recordMatchup } from './analytics.js';
+import { getDailyDate, getDailyAttempt, createDailyRandom, recordDailyProgress } from './daily.js';
+import { recordRunForReview } from './runs.js';
 
 let oddGameState = {
-  phase: 'loading',        // 'loading' | 'inRound' | 'afterCorrect' | 'afterWrong' | 'error'
+  phase: 'loading',        // 'loading' | 'inRound' | 'afterCorrect' | 'afterWrong' | 'error' | 'dailyLocked'
   options: [],             
   oddId: null,             
   streak: 0,
-  usedCharacterKeys: new Set() 
+  usedCharacterKeys: new Set(),
+  history: [],             // [{ characters, picked, correctId, correct }] per answered round in this run
+  reviewSaved: false,      // this run's history went to the review screen's saved runs
+  abandonRecorded: false,  // this run was counted as abandoned (see endOddRun)
+  difficulty: 'normal',    // stats bucket, fixed for the whole run
+  daily: false,
+  dailyDate: null
 };
 
+// Math.random for normal runs, a date-seeded generator for the daily challenge
+let random = Math.random;
+
 export function getOddGameState() {
   return {
     phase: oddGameState.phase,
     options: oddGameState.options,
     oddId: oddGameState.oddId,
-    streak: oddGameState.streak
+    streak: oddGameState.streak,
+    history: oddGameState.history,
+    difficulty: oddGameState.difficulty,
+    daily: oddGameState.daily,
+    dailyDate: oddGameState.dailyDate
   };
 }
 
 export function initOddGameState() {
+  // A run cut short by Restart or a mode switch still counts in the
+  // run-length history and is kept for review
+  recordAbandonedOddRun();
+  saveOddRunForReview();
+
+  const daily = !!getSettings().dailyMode;
+  const dailyDate = daily ? getDailyDate() : null;
+
   oddGameState = {
-    phase: 'inRound',
+    // Today's daily was already played: no rounds until the next UTC day
+    phase: daily && getDailyAttempt('odd', dailyDate) ? 'dailyLocked' : 'inRound',
     options: [],
     oddId: null,
     streak: 0,
-    usedCharacterKeys: new Set()
+    usedCharacterKeys: new Set(),
+    history: [],
+    reviewSaved: false,
+    abandonRecorded: false,
+    difficulty: getDifficultyKey({ daily, mode: 'odd' }),
+    daily,
+    dailyDate
   };
+
+  random = daily ? createDailyRandom('odd', dailyDate) : Math.random;
+}
+
+/**
+ * Count the run in progress when the player switches to another mode,
+ * so it is recorded even if they never come back to Odd One Out.
+ */
+export function endOddRun() {
+  recordAbandonedOddRun();
+  saveOddRunForReview();
+}
+
+function recordAbandonedOddRun() {
+  if (oddGameState.abandonRecorded || oddGameState.history.length === 0 || oddGameState.phase === 'afterWrong') return;
+  oddGameState.abandonRecorded = true;
+  recordRun('odd', oddGameState.difficulty, oddGameState.streak, { abandoned: true });
+}
+
+function saveOddRunForReview() {
+  if (oddGameState.reviewSaved || oddGameState.history.length === 0) return;
+  oddGameState.reviewSaved = true;
+  recordRunForReview({
+    mode: 'odd',
+    difficulty: oddGameState.difficulty,
+    daily: oddGameState.daily,
+    dailyDate: oddGameState.dailyDate,
+    finished: oddGameState.phase === 'afterWrong'
+  }, oddGameState.history);
 }
 
 
@@ -46,12 +107,18 @@ function buildFilteredPoolForOdd() {
   let pool = allChars;
 
   // (Consistent with main game) - in Very Hard, exclude Tier 0
-  if (settings.veryHardMode) {
+  if (getTierGapRange({ daily: oddGameState.daily }).excludeTier0) {
     pool = pool.filter(c => c.highestTier !== 'Tier 0');
   }
 
-  // Custom series filter
+  // Curated pool: whitelisted origins and Numbers only (not in daily runs)
+  if (!oddGameState.daily && settings.curatedPool) {
+    pool = pool.filter(isCuratedCharacter);
+  }
+
+  // Custom series filter (daily runs always use the full pool)
   if (
+    !oddGameState.daily &&
     settings.customMode &&
     Array.isArray(settings.customSeries) &&
     settings.customSeries.length > 0
@@ -84,6 +151,8 @@ function buildFilteredPoolForOdd() {
  * All 4 must have distinct Name+Origin.
  */
 export function startNewOddRound() {
+  if (oddGameState.phase === 'dailyLocked') return;
+
   const pool = buildFilteredPoolForOdd();
 
   if (pool.length < 4) {
@@ -110,29 +179,33 @@ export function startNewOddRound() {
     return;
   }
 
+  // The odd tier must sit within the difficulty's subtier gap range
+  // of the majority tier.
+  const { minTierGap, maxTierGap } = getTierGapRange({ daily: oddGameState.daily });
+  const getOddTierCandidates = majorTier => tierKeys.filter(tier => {
+    if (tier === majorTier || (groups.get(tier) || []).length === 0) return false;
+    const distance = getTierDistance(tier, majorTier);
+    return distance !== null && distance >= Math.max(1, minTierGap) && distance <= maxTierGap;
+  });
+
   // Find candidate "majority" tiers that have at least 3 chars AND
-  // there exists at least one other tier with >= 1 char.
+  // at least one other tier in gap range with >= 1 char.
   const candidateMajorTiers = tierKeys.filter(tier => {
     const arr = groups.get(tier) || [];
     if (arr.length < 3) return false;
 
-    // Is there at least one other tier with >= 1 char?
-    return tierKeys.some(otherTier => {
-      if (otherTier === tier) return false;
-      const otherArr = groups.get(otherTier) || [];
-      return otherArr.length >= 1;
-    });
+    return getOddTierCandidates(tier).length > 0;
   });
 
   if (candidateMajorTiers.length === 0) {
-    console.error('Odd mode: no tier has 3+ chars with a different tier available.');
+    console.error('Odd mode: no tier has 3+ chars with a different tier in gap range.');
     oddGameState.phase = 'error';
     return;
   }
 
   // Pick majority tier randomly
   const majorityTier =
-    candidateMajorTiers[Math.floor(Math.random() * candidateMajorTiers.length)];
+    candidateMajorTiers[Math.floor(random() * candidateMajorTiers.length)];
   const majorityGroup = groups.get(majorityTier);
 
   if (!majorityGroup || majorityGroup.length < 3) {
@@ -149,11 +222,8 @@ export function startNewOddRound() {
     return;
   }
 
-  // Now pick odd-one-out tier: any tier != majorityTier with >=1 char
-  const otherTiers = tierKeys.filter(tier => (
-    tier !== majorityTier &&
-    (groups.get(tier) || []).length > 0
-  ));
+  // Now pick odd-one-out tier: any tier in gap range of majorityTier with >=1 char
+  const otherTiers = getOddTierCandidates(majorityTier);
 
   if (otherTiers.length === 0) {
     console.error('Odd mode: no different tier for odd-one-out.');
@@ -161,7 +231,7 @@ export function startNewOddRound() {
     return;
   }
 
-  const oddTier = otherTiers[Math.floor(Math.random() * otherTiers.length)];
+  const oddTier = otherTiers[Math.floor(random() * otherTiers.length)];
   const oddGroup = groups.get(oddTier) || [];
   if (oddGroup.length === 0) {
     console.error('Odd mode: chosen oddTier has no characters.');
@@ -169,7 +239,7 @@ export function startNewOddRound() {
     return;
   }
 
-  const oddChar = oddGroup[Math.floor(Math.random() * oddGroup.length)];
+  const oddChar = oddGroup[Math.floor(random() * oddGroup.length)];
 
   // Build final options and ensure they still have unique Name+Origin
   let options = shuffleArray([...majorityChars, oddChar]);
@@ -216,6 +286,13 @@ export function handleOddChoice(selectedId) {
   }
 
   const correct = selectedId === oddGameState.oddId;
+  oddGameState.history.push({
+    characters: oddGameState.options,
+    picked: selectedId,
+    correctId: oddGameState.oddId,
+    correct
+  });
+  recordMatchup('odd', oddGameState.options, correct);
 
   // Mark all 4 characters as used for this run (by Name+Origin)
   for (const c of oddGameState.options) {
@@ -225,10 +302,20 @@ export function handleOddChoice(selectedId) {
   if (correct) {
     oddGameState.streak += 1;
     oddGameState.phase = 'afterCorrect';
-    recordRound(true, oddGameState.streak);
+    recordRound('odd', oddGameState.difficulty, true, oddGameState.streak);
   } else {
-    recordRound(false, oddGameState.streak);
+    recordRound('odd', oddGameState.difficulty, false, oddGameState.streak);
+    recordRun('odd', oddGameState.difficulty, oddGameState.streak);
     oddGameState.phase = 'afterWrong';
+  }
+
+  // Daily attempts keep the run's final streak, so record before it resets
+  if (oddGameState.daily) {
+    recordDailyProgress('odd', oddGameState.dailyDate, oddGameState.streak, !correct);
+  }
+
+  if (!correct) {
+    saveOddRunForReview();
     oddGameState.streak = 0;
   }
 
@@ -247,11 +334,7 @@ export function handleOddChoice(selectedId) {
  * Reset odd-mode run.
  */
 export function restartOddGame() {
-  oddGameState.phase = 'inRound';
-  oddGameState.options = [];
-  oddGameState.oddId = null;
-  oddGameState.streak = 0;
-  oddGameState.usedCharacterKeys = new Set();
+  initOddGameState();
   startNewOddRound();
 }
 
@@ -262,7 +345,7 @@ function pickRandomDistinct(arr, count) {
   const copy = [...arr];
   const picked = [];
   for (let i = 0; i < count; i++) {
-    const idx = Math.floor(Math.random() * copy.length);
+    const idx = Math.floor(random() * copy.length);
     picked.push(copy[idx]);
     copy.splice(idx, 1);
   }
@@ -272,7 +355,7 @@ function pickRandomDistinct(arr, count) {
 function shuffleArray(arr) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
@@ -0,0 +1,241 @@
+// js/gameLogicRace.js
+// "Versus a friend" race: two browsers joined through the local relay
+// (server/relay.mjs) get the same seed and deal the same VS pairs with
+// drawPair. The first correct answer wins the point; the relay judges
+// who was first and keeps the score and streaks.
+
+import { drawPair, getCharacterKey } from './gameLogic.js';
+import { createSeededRandom } from './rng.js';
+import { connectRelay } from './relayClient.js';
+
+let raceState = {
+  phase: 'lobby',     // 'lobby' | 'connecting' | 'waiting' | 'playing' | 'roundOver' | 'finished' | 'error'
+  room: null,
+  you: null,          // own player id, assigned by the relay
+  players: [],        // [{ id, name, score, streak }] as sent by the relay
+  target: 0,          // points to win
+  round: 0,           // 0-based, matches the relay's round counter
+  currentPair: null,
+  correctId: null,
+  pick: null,         // own answer this round
+  missed: [],         // player ids who answered wrong this round
+  roundWinner: null,  // player id, or null when nobody got it
+  message: ''
+};
+
+let connection = null;
+let random = Math.random;
+let usedCharacterKeys = new Set();
+
+// Called after every relay message so the UI can re-render
+let onChange = () => {};
+
+export function getRaceState() {
+  return {
+    ...raceState,
+    players: raceState.players.map(p => ({ ...p })),
+    missed: [...raceState.missed]
+  };
+}
+
+export function setRaceListener(listener) {
+  onChange = listener || (() => {});
+}
+
+/**
+ * Connect to the relay and join a room. The race starts as soon as a
+ * second player joins the same room code.
+ */
+export function joinRace({ address, room, name }) {
+  leaveRace();
+
+  raceState = {
+    ...raceState,
+    phase: 'connecting',
+    room: room.trim().toLowerCase(),
+    you: null,
+    players: [],
+    message: ''
+  };
+
+  let thisConnection;
+  try {
+    thisConnection = connectRelay(address, {
+      onOpen: () => {
+        thisConnection.send({ type: 'join', room, name });
+      },
+      onMessage: message => {
+        if (connection === thisConnection) handleRelayMessage(message);
+      },
+      onClose: wasOpen => {
+        // Closed on purpose by leaveRace (or replaced by a newer join)
+        if (connection !== thisConnection) return;
+        connection = null;
+        raceState.phase = 'lobby';
+        raceState.message = wasOpen
+          ? 'Lost the connection to the relay.'
+          : `Couldn't reach a relay at ${address}. Start one with "node server/relay.mjs".`;
+        onChange();
+      }
+    });
+  } catch (error) {
+    // Malformed address, or the browser refused a ws:// relay from an https page
+    raceState.phase = 'lobby';
+    raceState.message = location.protocol === 'https:' && !/^wss:\/\//.test(address)
+      ? `Couldn't open ${address} from this https page. Open the game from the relay's own address instead.`
+      : `Couldn't connect to "${address}": ${error.message}`;
+    return;
+  }
+  connection = thisConnection;
+}
+
+/**
+ * Disconnect and go back to the lobby.
+ */
+export function leaveRace() {
+  if (connection) {
+    const closing = connection;
+    connection = null;
+    closing.close();
+  }
+  raceState.phase = 'lobby';
+  raceState.message = '';
+}
+
+export function requestRematch() {
+  if ((raceState.phase !== 'finished' && raceState.phase !== 'error') || !connection) return;
+  connection.send({ type: 'rematch' });
+}
+
+/**
+ * Deal the pair for the current round from the shared seed. Both
+ * browsers call this once per round, in the same order, so they draw
+ * identical pairs.
+ */
+function dealRacePair() {
+  // Daily-style draws ignore local difficulty and series settings,
+  // which may differ between the two players
+  const pair = drawPair({ usedKeys: usedCharacterKeys, rng: random, daily: true, allowTies: true });
+  if (!pair) {
+    raceState.phase = 'error';
+    raceState.message = 'Ran out of pairs for this race.';
+    return;
+  }
+
+  usedCharacterKeys.add(getCharacterKey(pair.left));
+  usedCharacterKeys.add(getCharacterKey(pair.right));
+
+  raceState.currentPair = { left: pair.left, right: pair.right };
+  raceState.correctId = pair.correctId;
+  raceState.pick = null;
+  raceState.missed = [];
+  raceState.roundWinner = null;
+  raceState.phase = 'playing';
+}
+
+/**
+ * After a round's result: move on to the next pair.
+ */
+export function startNextRaceRound() {
+  if (raceState.phase !== 'roundOver') return;
+  raceState.round += 1;
+  dealRacePair();
+}
+
+/**
+ * Answer the current pair with a card id or TIE_ID. Correct answers
+ * go to the relay to see who was first; a wrong one locks this player
+ * out until the next pair.
+ */
+export function submitRaceAnswer(selectedId) {
+  if (raceState.phase !== 'playing' || raceState.pick !== null || !connection) {
+    return { valid: false };
+  }
+
+  const { left, right } = raceState.currentPair;
+  const correct = selectedId === raceState.correctId;
+  raceState.pick = selectedId;
+
+  connection.send({
+    type: 'answer',
+    round: raceState.round,
+    correct,
+    pair: `${left.id}|${right.id}`
+  });
+
+  return { valid: true, correct };
+}
+
+// The relay may already be a round ahead when this browser is still
+// showing the last result (the other player moved on first). Deal the
+// skipped pairs so the seeded sequence stays in step.
+function catchUpToRound(round) {
+  while (raceState.round < round && raceState.phase !== 'error') {
+    raceState.round += 1;
+    dealRacePair();
+  }
+}
+
+function handleRelayMessage(message) {
+  switch (message.type) {
+    case 'joined':
+      raceState.you = message.you;
+      raceState.room = message.room;
+      raceState.players = message.players;
+      raceState.phase = 'waiting';
+      break;
+
+    case 'waiting':
+      raceState.players = message.players;
+      raceState.phase = 'waiting';
+      break;
+
+    case 'start':
+      random = createSeededRandom(message.seed);
+      usedCharacterKeys = new Set();
+      raceState.players = message.players;
+      raceState.target = message.target;
+      raceState.round = 0;
+      raceState.message = '';
+      dealRacePair();
+      break;
+
+    case 'miss':
+      catchUpToRound(message.round);
+      if (message.round === raceState.round && !raceState.missed.includes(message.player)) {
+        raceState.missed.push(message.player);
+      }
+      break;
+
+    case 'round':
+      catchUpToRound(message.round);
+      if (message.round !== raceState.round) return;
+      raceState.players = message.players;
+      raceState.roundWinner = message.winner;
+      raceState.phase = message.over ? 'finished' : 'roundOver';
+      break;
+
+    case 'left':
+      raceState.players = message.players;
+      raceState.phase = 'waiting';
+      raceState.currentPair = null;
+      raceState.message = 'Your opponent left. Waiting for someone new to join.';
+      break;
+
+    case 'error':
+      raceState.message = message.message;
+      // Not in a room yet (e.g. it was full): back to the lobby
+      if (raceState.you === null) {
+        leaveRace();
+        raceState.message = message.message;
+      } else {
+        raceState.phase = 'error';
+      }
+      break;
+
+    default:
+      return;
+  }
+
+  onChange();
+}
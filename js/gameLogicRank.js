@@ -0,0 +1,168 @@
+// js/gameLogicRank.js
+// Ranking mode: five characters from five distinct tiers, ordered by the
+// player from strongest to weakest. Scored by the number of correctly
+// ordered pairs (Kendall distance) against the tier ladder.
+
+import { buildFilteredGroups, getCharacterKey } from './gameLogic.js';
+import { getTierIndex, isLadderStep } from './tierUtils.js';
+import { recordRound } from './stats.js';
+import { getDifficultyKey } from './settings.js';
+
+export const RANK_CARD_COUNT = 5;
+
+// Number of pairs among RANK_CARD_COUNT cards: n * (n - 1) / 2
+export const RANK_MAX_SCORE = (RANK_CARD_COUNT * (RANK_CARD_COUNT - 1)) / 2;
+
+let rankState = {
+  phase: 'loading',      // 'loading' | 'inRound' | 'afterSubmit' | 'error'
+  cards: [],             // characters in the player's current order, strongest first
+  correctOrderIds: [],   // ids strongest -> weakest
+  score: 0,              // correctly ordered pairs in the last submission
+  streak: 0,             // consecutive perfect orderings
+  difficulty: 'normal',
+  usedCharacterKeys: new Set()
+};
+
+export function getRankState() {
+  return {
+    phase: rankState.phase,
+    cards: [...rankState.cards],
+    correctOrderIds: rankState.correctOrderIds,
+    score: rankState.score,
+    streak: rankState.streak,
+    difficulty: rankState.difficulty
+  };
+}
+
+export function initRankState() {
+  rankState = {
+    phase: 'inRound',
+    cards: [],
+    correctOrderIds: [],
+    score: 0,
+    streak: 0,
+    difficulty: getDifficultyKey({ mode: 'rank' }),
+    usedCharacterKeys: new Set()
+  };
+}
+
+/**
+ * Count pairs the player put in the same relative order as the ladder.
+ * `orderedCards` is strongest-first as submitted.
+ */
+export function countOrderedPairs(orderedCards) {
+  let concordant = 0;
+  for (let i = 0; i < orderedCards.length; i++) {
+    for (let j = i + 1; j < orderedCards.length; j++) {
+      if (getTierIndex(orderedCards[i].highestTier) < getTierIndex(orderedCards[j].highestTier)) {
+        concordant++;
+      }
+    }
+  }
+  return concordant;
+}
+
+/**
+ * Deal five characters from five different tiers, in random order.
+ */
+export function startNewRankRound() {
+  const groups = buildFilteredGroups();
+  // Parent rows ("Tier 7") share a step with their first subtier, so
+  // only steps are dealt and no two cards are 0 steps apart
+  const tiers = Array.from(groups.keys()).filter(tier => {
+    if (!isLadderStep(tier)) return false;
+    return groups.get(tier).some(c => !rankState.usedCharacterKeys.has(getCharacterKey(c)));
+  });
+
+  if (tiers.length < RANK_CARD_COUNT) {
+    rankState.phase = 'error';
+    return;
+  }
+
+  const pickedTiers = shuffleArray(tiers).slice(0, RANK_CARD_COUNT);
+  const cards = pickedTiers.map(tier => {
+    const available = groups.get(tier)
+      .filter(c => !rankState.usedCharacterKeys.has(getCharacterKey(c)));
+    return available[Math.floor(Math.random() * available.length)];
+  });
+
+  rankState.cards = cards;
+  rankState.correctOrderIds = [...cards]
+    .sort((a, b) => getTierIndex(a.highestTier) - getTierIndex(b.highestTier))
+    .map(c => c.id);
+  rankState.score = 0;
+  rankState.phase = 'inRound';
+}
+
+/**
+ * Move one card to a new position (keyboard / button reordering).
+ */
+export function moveRankCard(fromIndex, toIndex) {
+  if (rankState.phase !== 'inRound') return;
+  const cards = rankState.cards;
+  if (fromIndex < 0 || fromIndex >= cards.length) return;
+  if (toIndex < 0 || toIndex >= cards.length) return;
+
+  const [card] = cards.splice(fromIndex, 1);
+  cards.splice(toIndex, 0, card);
+}
+
+/**
+ * Replace the current order with the given ids (drag-and-drop commits).
+ */
+export function setRankOrder(ids) {
+  if (rankState.phase !== 'inRound') return;
+  const byId = new Map(rankState.cards.map(c => [c.id, c]));
+  const reordered = ids.map(id => byId.get(id)).filter(Boolean);
+  if (reordered.length === rankState.cards.length) {
+    rankState.cards = reordered;
+  }
+}
+
+/**
+ * Lock in the current order and score it.
+ */
+export function submitRanking() {
+  if (rankState.phase !== 'inRound' || rankState.cards.length === 0) {
+    return { valid: false };
+  }
+
+  for (const c of rankState.cards) {
+    rankState.usedCharacterKeys.add(getCharacterKey(c));
+  }
+
+  const score = countOrderedPairs(rankState.cards);
+  const perfect = score === RANK_MAX_SCORE;
+
+  rankState.score = score;
+  rankState.streak = perfect ? rankState.streak + 1 : 0;
+  rankState.phase = 'afterSubmit';
+
+  recordRound('rank', rankState.difficulty, perfect, rankState.streak);
+
+  return {
+    valid: true,
+    score,
+    perfect,
+    streak: rankState.streak
+  };
+}
+
+/**
+ * Restart run (clears repeats)
+ */
+export function restartRankGame() {
+  initRankState();
+  startNewRankRound();
+}
+
+/* ---------- Utilities ---------- */
+
+function shuffleArray(arr) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
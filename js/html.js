@@ -0,0 +1,14 @@
+// js/html.js
+// Escaping for text from the data (names, origins) or from players
+// that ends up in innerHTML.
+
+/**
+ * Escape text for use in HTML content or a quoted attribute.
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
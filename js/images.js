@@ -0,0 +1,93 @@
+// js/images.js
+// Image resolution for character cards. Each character gets an ordered
+// list of candidate URLs (local thumbnail, local source image, remote
+// wiki image); a card walks that list on load errors and ends on a
+// built-in SVG placeholder, so no third-party placeholder service is needed.
+
+import { getSettings } from './settings.js';
+
+// Candidate kinds per settings.imageOrder ('local' is the default)
+export const IMAGE_ORDERS = {
+  local: ['thumb', 'source', 'remote'],   // thumbs/ -> images/ -> wiki
+  remote: ['remote', 'thumb', 'source'],  // wiki first (old behaviour)
+  offline: ['thumb', 'source']            // never hotlink the wiki
+};
+
+const PLACEHOLDER_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256">
+<rect width="256" height="256" fill="#11162b"/>
+<circle cx="128" cy="100" r="40" fill="#252b4a"/>
+<path d="M56 216c8-44 40-68 72-68s64 24 72 68z" fill="#252b4a"/>
+<text x="128" y="244" font-family="sans-serif" font-size="16" fill="#8a93b8" text-anchor="middle">No image</text>
+</svg>`;
+
+export const PLACEHOLDER_IMAGE = `data:image/svg+xml,${encodeURIComponent(PLACEHOLDER_SVG)}`;
+
+/* ---------- Candidates ---------- */
+
+// Wiki URLs carry a /revision/latest?cb=... suffix; the bare file URL is enough
+function cleanWikiImageUrl(url) {
+  if (!url) return '';
+  const trimmed = url.trim();
+  const idx = trimmed.indexOf('/revision/');
+  return idx !== -1 ? trimmed.slice(0, idx) : trimmed;
+}
+
+function getCandidatesOfKind(character, kind) {
+  switch (kind) {
+    case 'thumb':
+      return character.thumbUrl ? [character.thumbUrl] : [];
+    case 'source':
+      // images/<file> names derived from `source` and ImageURL (dataLoader.js)
+      return (character.altImageUrls || []).filter(url => !/^https?:\/\//i.test(url));
+    case 'remote': {
+      const remote = cleanWikiImageUrl(character.remoteImageUrl);
+      return /^https?:\/\//i.test(remote) ? [remote] : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Ordered, de-duplicated image URLs to try for a character.
+ */
+export function getImageCandidates(character) {
+  if (!character) return [];
+  const order = IMAGE_ORDERS[getSettings().imageOrder] || IMAGE_ORDERS.local;
+  const urls = order.flatMap(kind => getCandidatesOfKind(character, kind));
+  return Array.from(new Set(urls));
+}
+
+/* ---------- Loading ---------- */
+
+/**
+ * Point `img` at the character's first candidate and fall through the
+ * rest on load errors, ending on the placeholder.
+ */
+export function loadCharacterImage(img, character) {
+  const candidates = getImageCandidates(character);
+  let next = 0;
+
+  function tryNext() {
+    if (next < candidates.length) {
+      img.src = candidates[next++];
+    } else {
+      img.removeEventListener('error', tryNext);
+      img.src = PLACEHOLDER_IMAGE;
+    }
+  }
+
+  img.addEventListener('error', tryNext);
+  tryNext();
+}
+
+/**
+ * Start loading the images of upcoming cards so they show instantly.
+ */
+export function preloadCharacterImages(characters) {
+  for (const character of characters) {
+    if (character) {
+      loadCharacterImage(new Image(), character);
+    }
+  }
+}
@@ -2,26 +2,94 @@
 // Bootstraps the app, loads data once, initializes both modes,
 // but only activates the selected one (default = classic Vs mode)
 
-import { loadTierHierarchy, loadMicroOrigins, loadAllCharacters } from './dataLoader.js';
+import {
+  loadTierHierarchy,
+  loadMicroOrigins,
+  loadAllCharacters,
+  whenAllCharactersLoaded,
+  getTierHierarchyError
+} from './dataLoader.js';
 import { loadSettings, getSettings } from './settings.js';
 import { loadStats } from './stats.js';
+import { loadAnalytics } from './analytics.js';
+import { loadDaily } from './daily.js';
+import { loadRuns } from './runs.js';
+import { initPWA } from './pwa.js';
 
 // Classic 2-card mode
-import { initGameState, startNewRound } from './gameLogic.js';
-import { initUI, render as renderUI } from './ui.js';
+import { initGameState, startNewRound, endVsRun } from './gameLogic.js';
+import { initUI, render as renderUI, refreshSeriesList } from './ui.js';
 
 // Odd-One-Out mode
-import { initOddGameState, startNewOddRound } from './gameLogicOdd.js';
+import { initOddGameState, startNewOddRound, endOddRun } from './gameLogicOdd.js';
 import { initOddUI, renderOdd } from './uiOdd.js';
 
-let currentMode = 'vs'; // 'vs' or 'odd'
+// Timed blitz mode
+import { initBlitzState } from './gameLogicBlitz.js';
+import { initBlitzUI, renderBlitz, stopBlitzTimer } from './uiBlitz.js';
 
-function showVsMode() {
-  currentMode = 'vs';
+// Tier-guess mode
+import { restartGuessGame } from './gameLogicGuess.js';
+import { initGuessUI, renderGuess } from './uiGuess.js';
+
+// Ranking mode
+import { restartRankGame } from './gameLogicRank.js';
+import { initRankUI, renderRank } from './uiRank.js';
+
+// Hot-seat mode
+import { getHotseatState, startHotseatRound } from './gameLogicHotseat.js';
+import { initHotseatUI, renderHotseat } from './uiHotseat.js';
+
+// Versus-a-friend race over the local relay
+import { initRaceUI, renderRace, stopRace } from './uiRace.js';
+
+// Stats modal
+import { initStatsUI } from './uiStats.js';
+
+// Run review modal
+import { initReviewUI } from './uiReview.js';
+
+// Tier scale reference modal
+import { initTierReferenceUI } from './uiTierReference.js';
+
+let currentMode = 'vs'; // 'vs' | 'odd' | 'blitz' | 'guess' | 'rank' | 'hotseat' | 'race'
+
+// Section shown for each mode; all others are hidden
+const MODE_SECTIONS = {
+  vs: 'game-section',
+  odd: 'odd-mode-section',
+  blitz: 'blitz-mode-section',
+  guess: 'guess-mode-section',
+  rank: 'rank-mode-section',
+  hotseat: 'hotseat-mode-section',
+  race: 'race-mode-section'
+};
+
+function showSection(mode) {
+  // Leaving blitz mid-run must not leave its countdown ticking
+  if (currentMode === 'blitz' && mode !== 'blitz') {
+    stopBlitzTimer();
+  }
+  // Likewise a race must not keep the opponent waiting in the room
+  if (currentMode === 'race' && mode !== 'race') {
+    stopRace();
+  }
+  // A VS or Odd run left unfinished counts now, not when that mode reopens
+  if (currentMode === 'vs' && mode !== 'vs') {
+    endVsRun();
+  }
+  if (currentMode === 'odd' && mode !== 'odd') {
+    endOddRun();
+  }
+  currentMode = mode;
+
+  for (const [sectionMode, sectionId] of Object.entries(MODE_SECTIONS)) {
+    document.getElementById(sectionId).style.display = sectionMode === mode ? 'block' : 'none';
+  }
+}
 
-  // Show VS UI section, hide Odd UI section
-  document.getElementById('game-section').style.display = 'block';
-  document.getElementById('odd-mode-section').style.display = 'none';
+function showVsMode() {
+  showSection('vs');
 
   initGameState();
   startNewRound();
@@ -29,20 +97,62 @@ function showVsMode() {
 }
 
 function showOddMode() {
-  currentMode = 'odd';
-
-  // Show Odd UI section, hide VS UI section
-  document.getElementById('game-section').style.display = 'none';
-  document.getElementById('odd-mode-section').style.display = 'block';
+  showSection('odd');
 
   initOddGameState();
   startNewOddRound();
   renderOdd();
 }
 
+function showBlitzMode() {
+  showSection('blitz');
+
+  // Blitz waits for the player to press Start
+  stopBlitzTimer();
+  initBlitzState();
+  renderBlitz();
+}
+
+function showGuessMode() {
+  showSection('guess');
+
+  restartGuessGame();
+  renderGuess();
+}
+
+function showRankMode() {
+  showSection('rank');
+
+  restartRankGame();
+  renderRank();
+}
+
+function showHotseatMode() {
+  showSection('hotseat');
+
+  // Keep a game in progress (players may flip to the rules and back);
+  // one that couldn't deal a pair retries with the current settings
+  if (getHotseatState().phase === 'error') {
+    startHotseatRound();
+  }
+  renderHotseat();
+}
+
+function showRaceMode() {
+  showSection('race');
+
+  // The race waits in the lobby until the player joins a room
+  renderRace();
+}
+
 function wireModeButtons() {
   const vsButton = document.getElementById('mode-vs-button');
   const oddButton = document.getElementById('mode-odd-button');
+  const blitzButton = document.getElementById('mode-blitz-button');
+  const guessButton = document.getElementById('mode-guess-button');
+  const rankButton = document.getElementById('mode-rank-button');
+  const hotseatButton = document.getElementById('mode-hotseat-button');
+  const raceButton = document.getElementById('mode-race-button');
 
   if (vsButton) {
     vsButton.addEventListener('click', () => {
@@ -55,21 +165,103 @@ function wireModeButtons() {
       showOddMode();
     });
   }
+
+  if (blitzButton) {
+    blitzButton.addEventListener('click', () => {
+      showBlitzMode();
+    });
+  }
+
+  if (guessButton) {
+    guessButton.addEventListener('click', () => {
+      showGuessMode();
+    });
+  }
+
+  if (rankButton) {
+    rankButton.addEventListener('click', () => {
+      showRankMode();
+    });
+  }
+
+  if (hotseatButton) {
+    hotseatButton.addEventListener('click', () => {
+      showHotseatMode();
+    });
+  }
+
+  if (raceButton) {
+    raceButton.addEventListener('click', () => {
+      showRaceMode();
+    });
+  }
+
+  // ui.js restarts the VS run on apply; the other modes need their own
+  // restart so settings like daily mode take effect immediately.
+  const applyButton = document.getElementById('menu-apply-button');
+  if (applyButton) {
+    applyButton.addEventListener('click', async () => {
+      // Same wait as ui.js before a daily run is dealt
+      if (getSettings().dailyMode) {
+        await whenAllCharactersLoaded();
+      }
+      if (currentMode === 'odd') showOddMode();
+      if (currentMode === 'blitz') showBlitzMode();
+      if (currentMode === 'guess') showGuessMode();
+      if (currentMode === 'rank') showRankMode();
+      if (currentMode === 'hotseat') showHotseatMode();
+    });
+  }
 }
 
+// Start fetching data as soon as the module runs, in parallel,
+// instead of waiting for DOMContentLoaded
+const dataReady = Promise.all([
+  loadTierHierarchy(),
+  loadMicroOrigins(),
+  loadAllCharacters()
+]);
+
 window.addEventListener('DOMContentLoaded', async () => {
   loadSettings();
   loadStats();
+  loadAnalytics();
+  loadDaily();
+  loadRuns();
 
-  await loadTierHierarchy();
-  await loadMicroOrigins();
-  await loadAllCharacters();
+  await dataReady;
+
+  // Without the ladder no character can be placed, so say so up front
+  const tierError = getTierHierarchyError();
+  if (tierError) {
+    const banner = document.getElementById('load-error');
+    banner.textContent = `Couldn't load the tier ladder (data/tier_hierachy.txt: ${tierError}). ` +
+      'Check your connection and reload the page.';
+    banner.hidden = false;
+  }
+
+  // The daily challenge must deal from the full pool to match everyone else's
+  if (getSettings().dailyMode) {
+    await whenAllCharactersLoaded();
+  }
 
   // Initialize both UIs so buttons exist and won't error
   initUI();
   initOddUI();
+  initBlitzUI();
+  initGuessUI();
+  initRankUI();
+  initHotseatUI();
+  initRaceUI();
+  initStatsUI();
+  initReviewUI();
+  initTierReferenceUI();
+  initPWA();
   wireModeButtons();
 
   // Default mode is classic VS
   showVsMode();
+
+  // Late tier files add new series to the custom filter
+  whenAllCharactersLoaded().then(refreshSeriesList);
 });
@@ -0,0 +1,86 @@
+// js/pwa.js
+// Registers the service worker (sw.js), shows the "update available"
+// banner it asks for, and lets the player cache every card thumbnail
+// for offline play.
+
+import { getCharacters } from './dataLoader.js';
+
+let pwaEls = {};
+
+export function initPWA() {
+  pwaEls.updateBanner = document.getElementById('update-banner');
+  pwaEls.updateText = document.getElementById('update-banner-text');
+  pwaEls.updateReloadButton = document.getElementById('update-reload-button');
+  pwaEls.updateDismissButton = document.getElementById('update-dismiss-button');
+  pwaEls.cacheImagesButton = document.getElementById('cache-images-button');
+  pwaEls.cacheImagesStatus = document.getElementById('cache-images-status');
+
+  pwaEls.updateReloadButton?.addEventListener('click', () => window.location.reload());
+  pwaEls.updateDismissButton?.addEventListener('click', () => {
+    pwaEls.updateBanner.hidden = true;
+  });
+  pwaEls.cacheImagesButton?.addEventListener('click', cacheCardImages);
+
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+    if (pwaEls.cacheImagesButton) pwaEls.cacheImagesButton.disabled = true;
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener('message', onWorkerMessage);
+  navigator.serviceWorker.register('sw.js').catch(err => {
+    console.warn('Service worker registration failed:', err);
+  });
+}
+
+function onWorkerMessage(event) {
+  const message = event.data || {};
+
+  if (message.type === 'update-available') {
+    showUpdateBanner(message.kind);
+  } else if (message.type === 'cache-images-progress') {
+    renderCacheProgress(message);
+  }
+}
+
+function showUpdateBanner(kind) {
+  if (!pwaEls.updateBanner) return;
+  // A new app version outranks a data-only update
+  if (!pwaEls.updateBanner.hidden && kind === 'data') return;
+
+  pwaEls.updateText.textContent = kind === 'data'
+    ? 'New tier data is available.'
+    : 'A new version of Vsrdle is available.';
+  pwaEls.updateBanner.hidden = false;
+}
+
+/* ---------- Offline card images ---------- */
+
+async function cacheCardImages() {
+  const registration = await navigator.serviceWorker.ready;
+  const urls = Array.from(new Set(
+    getCharacters().map(c => c.thumbUrl).filter(Boolean)
+  ));
+
+  if (urls.length === 0) {
+    pwaEls.cacheImagesStatus.textContent = 'No card images to save.';
+    return;
+  }
+
+  pwaEls.cacheImagesButton.disabled = true;
+  pwaEls.cacheImagesStatus.textContent = `Saving 0/${urls.length}...`;
+  registration.active.postMessage({ type: 'cache-images', urls });
+}
+
+function renderCacheProgress({ done, failed, total }) {
+  if (!pwaEls.cacheImagesStatus) return;
+
+  if (done < total) {
+    pwaEls.cacheImagesStatus.textContent = `Saving ${done}/${total}...`;
+    return;
+  }
+
+  pwaEls.cacheImagesButton.disabled = false;
+  pwaEls.cacheImagesStatus.textContent = failed > 0
+    ? `Saved ${total - failed}/${total} images (${failed} unavailable).`
+    : `All ${total} card images saved for offline play.`;
+}
@@ -0,0 +1,59 @@
+// js/relayClient.js
+// Connection to the local race relay (server/relay.mjs). Messages are
+// JSON objects both ways.
+
+export const RELAY_DEFAULT_PORT = 8787;
+
+/**
+ * Relay address to prefill: the page's own host when it was served by
+ * the relay over http, otherwise the relay's default port on this machine.
+ */
+export function getDefaultRelayAddress() {
+  if (typeof location !== 'undefined' && location.protocol === 'http:' && location.host) {
+    return location.host;
+  }
+  return `localhost:${RELAY_DEFAULT_PORT}`;
+}
+
+/**
+ * Open a relay connection. `address` is host[:port] or a full ws:// URL.
+ * onOpen / onMessage(message) / onClose(wasOpen) are optional callbacks.
+ */
+export function connectRelay(address, { onOpen, onMessage, onClose } = {}) {
+  const url = /^wss?:\/\//.test(address)
+    ? address
+    : `ws://${address.replace(/\/+$/, '')}/relay`;
+
+  let opened = false;
+  const socket = new WebSocket(url);
+
+  socket.addEventListener('open', () => {
+    opened = true;
+    onOpen?.();
+  });
+
+  socket.addEventListener('message', event => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    onMessage?.(message);
+  });
+
+  socket.addEventListener('close', () => {
+    onClose?.(opened);
+  });
+
+  return {
+    send(message) {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    },
+    close() {
+      socket.close();
+    }
+  };
+}
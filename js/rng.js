@@ -0,0 +1,33 @@
+// js/rng.js
+// Random number sources. Normal runs use Math.random; seeded runs
+// (e.g. the daily challenge) use a small deterministic generator so
+// every player gets the exact same sequence.
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a).
+ */
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a seeded generator (mulberry32) with the same contract as
+ * Math.random: each call returns a float in [0, 1).
+ * Accepts a number or any string seed.
+ */
+export function createSeededRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+
+  return function seededRandom() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
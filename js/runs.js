@@ -0,0 +1,77 @@
+// js/runs.js
+// The last few VS / Odd One Out runs, round by round, for the review
+// screen. Characters are stored as small snapshots (no summaries or
+// images) so the saved runs stay light; the review looks the full
+// character up again when it's still in the data.
+
+const RUNS_KEY = 'vsrdle_runs';
+
+// Saved runs kept, newest first
+const MAX_SAVED_RUNS = 10;
+
+// [{ mode, difficulty, daily, dailyDate, date, finished,
+//    rounds: [{ characters: [snapshot], picked, correctId, correct }] }]
+let runs = [];
+
+export function loadRuns() {
+  try {
+    const raw = localStorage.getItem(RUNS_KEY);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    runs = Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.warn('Failed to load saved runs:', err);
+  }
+}
+
+export function saveRuns() {
+  try {
+    localStorage.setItem(RUNS_KEY, JSON.stringify(runs));
+  } catch (err) {
+    console.warn('Failed to save runs:', err);
+  }
+}
+
+function snapshotCharacter(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    keyName: c.keyName || null,
+    origin: c.origin,
+    highestTier: c.highestTier,
+    pageUrl: c.pageUrl || null
+  };
+}
+
+/**
+ * Keep a run for review. `history` is the mode's in-memory history:
+ * [{ characters, picked, correctId, correct }] with full characters.
+ * Runs without an answered round aren't kept.
+ */
+export function recordRunForReview({ mode, difficulty, daily = false, dailyDate = null, finished }, history) {
+  if (!history.length) return;
+
+  runs.unshift({
+    mode,
+    difficulty,
+    daily,
+    dailyDate,
+    date: new Date().toISOString(),
+    finished: !!finished,
+    rounds: history.map(round => ({
+      characters: round.characters.map(snapshotCharacter),
+      picked: round.picked,
+      correctId: round.correctId,
+      correct: round.correct
+    }))
+  });
+  runs.splice(MAX_SAVED_RUNS);
+  saveRuns();
+}
+
+/**
+ * Saved runs, newest first.
+ */
+export function getSavedRuns() {
+  return runs;
+}
@@ -0,0 +1,160 @@
+// js/series.js
+// Series (origin) helpers for the custom series picker: per-origin
+// character counts and tier coverage, franchise presets, and a check
+// that tells whether a selection can still deal rounds in each mode.
+
+import { getCharacters, isCuratedCharacter } from './dataLoader.js';
+import { getSettings, getTierGapRange } from './settings.js';
+import { getTierIndex, getTierDistance } from './tierUtils.js';
+import { RANK_CARD_COUNT } from './gameLogicRank.js';
+
+// Franchise groups offered as one-click presets. Origins missing from
+// the loaded data are simply skipped.
+export const SERIES_PRESETS = {
+  marvel: {
+    label: 'Marvel',
+    origins: ['Marvel Comics', 'Marvel Cinematic Universe']
+  },
+  dc: {
+    label: 'DC',
+    origins: ['DC Comics']
+  },
+  anime: {
+    label: 'Anime',
+    origins: [
+      'Bleach', 'Digimon', 'Dragon Ball', 'Fairy Tail', 'Fate/Apocrypha',
+      'Fullmetal Alchemist', 'Gintama',
+      "JoJo's Bizarre Adventure '''(Part III: Stardust Crusaders)'''",
+      'Jujutsu Kaisen', 'Mob Psycho 100', 'My Hero Academia', 'One Piece',
+      'One-Punch Man', 'Pokémon', 'Rosario + Vampire', 'Sailor Moon',
+      'Solo Leveling', 'Steins;Gate', 'Trigun'
+    ]
+  },
+  videoGames: {
+    label: 'Video games',
+    origins: [
+      '100% Orange Juice', 'ARMS', 'Ace Attorney', 'Among Us', 'ClayFighter',
+      'Club Penguin', 'Darkstalkers', 'Dead Rising', 'Final Fantasy',
+      "Five Nights At Freddy's", 'Fortnite', 'Hollow Knight', 'Kingdom Hearts',
+      'Kirby', 'Knack (series)', 'League of Legends', 'Lego City Undercover',
+      'Mario Bros', 'Metal Gear', 'Minecraft', 'Monster Hunter', 'Ninja Gaiden',
+      'Persona 3', 'Persona 5', 'Pikmin', 'Resident Evil',
+      'Sonic the Hedgehog (Archie Continuity)', 'Sonic the Hedgehog (Pre-Genesis Wave)',
+      'Soul Calibur', 'Street Fighter', 'Super Smash Bros.', 'Team Fortress 2',
+      'Tekken', 'The King of Fighters', 'Touhou Project'
+    ]
+  },
+  cartoons: {
+    label: 'Cartoons',
+    origins: [
+      'Adventure Time', 'Amphibia', 'Aqua Teen Hunger Force',
+      'Avatar: The Last Airbender', 'Captain Underpants', 'Care Bears',
+      'Cloudy with a Chance of Meatballs', 'DuckTales', 'Family Guy', 'Ice Age',
+      'Johnny Test', 'Kim Possible', 'Looney Tunes', 'My Little Pony', 'Ninjago',
+      'Popeye the Sailor Man', 'Scooby Doo', 'Spongebob Squarepants (Verse)',
+      'The Amazing World of Gumball', 'The Boondocks', 'The Boss Baby',
+      'The Simpsons', 'Toy Story', 'Wallace & Gromit'
+    ]
+  }
+};
+
+/**
+ * One entry per origin, sorted by name:
+ * { origin, count, mainTiers } where mainTiers are the distinct main tier
+ * numbers ("0", "2", "5", ...) of the origin's characters, strongest first.
+ */
+export function getSeriesCoverage() {
+  const byOrigin = new Map();
+
+  for (const c of getCharacters()) {
+    if (!c.origin) continue;
+    if (!byOrigin.has(c.origin)) {
+      byOrigin.set(c.origin, { origin: c.origin, count: 0, mainTiers: new Set() });
+    }
+    const entry = byOrigin.get(c.origin);
+    entry.count += 1;
+    const mainTier = getMainTierNumber(c.highestTier);
+    if (mainTier !== null) entry.mainTiers.add(mainTier);
+  }
+
+  return Array.from(byOrigin.values())
+    .sort((a, b) => a.origin.localeCompare(b.origin))
+    .map(entry => ({
+      ...entry,
+      mainTiers: Array.from(entry.mainTiers).sort((a, b) => a - b).map(String)
+    }));
+}
+
+/**
+ * Origins of a preset that actually exist in the loaded data.
+ */
+export function getPresetOrigins(presetKey) {
+  const preset = SERIES_PRESETS[presetKey];
+  if (!preset) return [];
+  const known = new Set(getCharacters().map(c => c.origin));
+  return preset.origins.filter(origin => known.has(origin));
+}
+
+/**
+ * Warnings for a series selection, using the active difficulty's gap
+ * range. `pending` ({ difficulty, customMinTierGap, customMaxTierGap,
+ * curatedPool }) checks against menu values that aren't applied yet.
+ * An empty array means every mode can deal rounds.
+ */
+export function checkSeriesSelection(origins, pending = {}) {
+  if (!origins.length) {
+    return ['No series selected: all series will be used.'];
+  }
+
+  const { minTierGap, maxTierGap, excludeTier0 } = getTierGapRange({ overrides: pending });
+  const { curatedPool } = { ...getSettings(), ...pending };
+  const allowed = new Set(origins);
+
+  // Ladder tier -> number of characters at that highestTier
+  const tierCounts = new Map();
+  for (const c of getCharacters()) {
+    if (!allowed.has(c.origin)) continue;
+    if (excludeTier0 && c.highestTier === 'Tier 0') continue;
+    if (curatedPool && !isCuratedCharacter(c)) continue;
+    if (getTierIndex(c.highestTier) < 0) continue;
+    tierCounts.set(c.highestTier, (tierCounts.get(c.highestTier) || 0) + 1);
+  }
+
+  const tiers = Array.from(tierCounts.keys());
+  // Same rule as the VS / Odd deal: different tiers, within the gap range
+  const inGapRange = (a, b) => {
+    const distance = getTierDistance(a, b);
+    return a !== b && distance >= Math.max(1, minTierGap) && distance <= maxTierGap;
+  };
+
+  if (tiers.length === 0) {
+    return ['The selected series have no characters with a known tier.'];
+  }
+
+  const warnings = [];
+
+  const canVs = tiers.some(a => tiers.some(b => inGapRange(a, b)));
+  if (!canVs) {
+    warnings.push('VS / Blitz: no two tiers are the right distance apart for this difficulty.');
+  }
+
+  const canOdd = tiers.some(a => tierCounts.get(a) >= 3 && tiers.some(b => inGapRange(a, b)));
+  if (!canOdd) {
+    warnings.push('Odd One Out: needs a tier with 3+ characters and another tier in the gap range.');
+  }
+
+  if (tiers.length < RANK_CARD_COUNT) {
+    warnings.push(`Ranking: needs characters from ${RANK_CARD_COUNT} different tiers (found ${tiers.length}).`);
+  }
+
+  return warnings;
+}
+
+/* ---------- Utilities ---------- */
+
+// "Tier 0" -> 0, "High 6-A" -> 6, anything off the ladder -> null
+function getMainTierNumber(tier) {
+  if (getTierIndex(tier) < 0) return null;
+  const match = tier.match(/\d+/);
+  return match ? Number(match[0]) : null;
+}
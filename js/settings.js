@@ -3,12 +3,30 @@
 
 const SETTINGS_KEY = 'vsrdle_settings';
 
+// Allowed subtier gap (getTierDistance: parent headings don't count)
+// between the tiers dealt in one round. maxTierGap: null means no upper limit.
+// A minTierGap of 0 lets VS deal same-tier stalemates ("Tie" rounds).
+export const DIFFICULTY_PRESETS = {
+  easy:     { label: 'Easy',      minTierGap: 10, maxTierGap: null },
+  normal:   { label: 'Normal',    minTierGap: 0,  maxTierGap: null },
+  hard:     { label: 'Hard',      minTierGap: 1,  maxTierGap: 8 },
+  veryHard: { label: 'Very Hard', minTierGap: 3,  maxTierGap: 3, excludeTier0: true }
+};
+
 let settings = {
   theme: 'dark',
-  veryHardMode: false,   // pairs within 2 tiers of each other
+  difficulty: 'normal',  // a DIFFICULTY_PRESETS key or 'custom'
+  customMinTierGap: 1,   // gap range used by the 'custom' difficulty
+  customMaxTierGap: 4,    // null = no upper limit
   customMode: false,     // enable custom series filter
   customSeries: [], 
-  lightMode: false
+  lightMode: false,
+  imageOrder: 'local',   // card image sources, see IMAGE_ORDERS in images.js
+  dailyMode: false,      // date-seeded daily challenge, one attempt per UTC day
+  survivalLives: 0,      // VS survival: misses cost a life (0 = off)
+  adaptiveDifficulty: false, // VS: tier gaps narrow as the streak grows
+  useKeys: false,        // VS: pit specific key versions against each other
+  curatedPool: false     // only whitelisted origins/Numbers (micro_origins_summary.txt)
 
 };
 
@@ -17,6 +35,13 @@ export function loadSettings() {
     const raw = localStorage.getItem(SETTINGS_KEY);
     if (!raw) return;
     const parsed = JSON.parse(raw);
+
+    // Older saves only had a Very Hard on/off switch
+    if (!parsed.difficulty && 'veryHardMode' in parsed) {
+      parsed.difficulty = parsed.veryHardMode ? 'veryHard' : 'normal';
+    }
+    delete parsed.veryHardMode;
+
     settings = { ...settings, ...parsed };
   } catch (err) {
     console.warn('Failed to load settings:', err);
@@ -39,3 +64,65 @@ export function updateSetting(key, value) {
   settings[key] = value;
   saveSettings();
 }
+
+/**
+ * Active difficulty as { minTierGap, maxTierGap, excludeTier0 }, with
+ * maxTierGap = Infinity when unbounded. Daily runs always play Normal.
+ * `overrides` ({ difficulty, customMinTierGap, customMaxTierGap }) stand
+ * in for saved settings, e.g. values picked in the menu but not applied.
+ */
+export function getTierGapRange({ daily = false, overrides = {} } = {}) {
+  const { difficulty, customMinTierGap, customMaxTierGap } = { ...settings, ...overrides };
+
+  if (!daily && difficulty === 'custom') {
+    const min = Math.max(1, Number(customMinTierGap) || 1);
+    const max = Number(customMaxTierGap) || Infinity;
+    return { minTierGap: min, maxTierGap: Math.max(min, max), excludeTier0: false };
+  }
+
+  const preset = (!daily && DIFFICULTY_PRESETS[difficulty]) || DIFFICULTY_PRESETS.normal;
+  return {
+    minTierGap: preset.minTierGap,
+    maxTierGap: preset.maxTierGap ?? Infinity,
+    excludeTier0: !!preset.excludeTier0
+  };
+}
+
+/**
+ * Stats bucket for the current settings: the difficulty preset
+ * ('easy', 'normal', ...) or e.g. 'gap2-5' for a custom range,
+ * with '+curated' for the curated pool, '+custom' when a custom
+ * series filter is active and e.g.
+ * '+3lives' / '+adaptive' / '+keys' for VS survival, adaptive and
+ * key-version runs.
+ * Daily runs ignore all of these, so they always land in 'daily'.
+ */
+export function getDifficultyKey({ daily = false, mode = 'vs' } = {}) {
+  if (daily) return 'daily';
+
+  let key = DIFFICULTY_PRESETS[settings.difficulty] ? settings.difficulty : 'normal';
+  if (settings.difficulty === 'custom') {
+    const { minTierGap, maxTierGap } = getTierGapRange();
+    key = `gap${minTierGap}-${maxTierGap === Infinity ? 'any' : maxTierGap}`;
+  }
+  if (settings.curatedPool) {
+    key += '+curated';
+  }
+  if (
+    settings.customMode &&
+    Array.isArray(settings.customSeries) &&
+    settings.customSeries.length > 0
+  ) {
+    key += '+custom';
+  }
+  if (mode === 'vs' && settings.survivalLives > 0) {
+    key += `+${settings.survivalLives}lives`;
+  }
+  if (mode === 'vs' && settings.adaptiveDifficulty) {
+    key += '+adaptive';
+  }
+  if (mode === 'vs' && settings.useKeys) {
+    key += '+keys';
+  }
+  return key;
+}
@@ -0,0 +1,78 @@
+// js/share.js
+// Builds a spoiler-free, Wordle-style result block for a finished run
+// and copies it to the clipboard.
+
+const MODE_LABELS = {
+  vs: 'VS',
+  odd: 'Odd One Out'
+};
+
+// Squares per line, so long runs stay readable in chat apps
+const ROW_LENGTH = 10;
+
+/**
+ * Build the share text for a run.
+ * history: [{ correct: boolean }, ...] in the order the rounds were played.
+ * maxLives: survival lives the run started with (0 = standard run).
+ */
+export function buildShareText({ mode, daily, dailyDate, history, maxLives = 0 }) {
+  const label = (MODE_LABELS[mode] || mode) + (maxLives > 0 ? ` (${maxLives} lives)` : '');
+  const when = daily ? `Daily ${dailyDate}` : new Date().toISOString().slice(0, 10);
+  const correct = history.filter(round => round.correct).length;
+
+  // Longest run of correct answers; survival runs keep going after a miss
+  let bestStreak = 0;
+  let streak = 0;
+  history.forEach(round => {
+    streak = round.correct ? streak + 1 : 0;
+    bestStreak = Math.max(bestStreak, streak);
+  });
+  const scoreLine = maxLives > 0
+    ? `Correct: ${correct}/${history.length} | Best streak: ${bestStreak}`
+    : `Streak: ${bestStreak}`;
+
+  const squares = history.map(round => (round.correct ? '🟩' : '🟥'));
+  const rows = [];
+  for (let i = 0; i < squares.length; i += ROW_LENGTH) {
+    rows.push(squares.slice(i, i + ROW_LENGTH).join(''));
+  }
+
+  return [
+    `Vsrdle ${label} | ${when}`,
+    scoreLine,
+    '',
+    ...rows
+  ].join('\n');
+}
+
+/**
+ * Copy text to the clipboard. Falls back to a hidden textarea for
+ * browsers without the async clipboard API (or non-secure origins).
+ * Resolves to true on success.
+ */
+export async function copyToClipboard(text) {
+  try {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch (err) {
+    console.warn('Clipboard API failed, trying fallback:', err);
+  }
+
+  try {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const ok = document.execCommand('copy');
+    textarea.remove();
+    return ok;
+  } catch (err) {
+    console.warn('Failed to copy result:', err);
+    return false;
+  }
+}
@@ -1,20 +1,66 @@
 // js/stats.js
-// Tracks basic stats: best streak, total rounds, total correct, etc.
+// Tracks stats per mode and per difficulty (best streak, total rounds,
+// total correct) plus a dated history of runs, including ones cut short.
 
 const STATS_KEY = 'vsrdle_stats';
+const STATS_VERSION = 2;
 
-let stats = {
-  totalRounds: 0,
-  totalCorrectRounds: 0,
-  bestStreak: 0,
-};
+// Runs kept for the run-length histogram (oldest dropped first)
+const MAX_RUN_HISTORY = 500;
+
+// Entries kept per high-score table
+const MAX_HIGH_SCORES = 10;
+
+let stats = createEmptyStats();
+
+function createEmptyStats() {
+  return {
+    version: STATS_VERSION,
+    modes: {},   // { vs: { normal: bucket, veryHard: bucket, ... }, odd: { ... } }
+    runs: [],    // [{ mode, difficulty, date, length, abandoned }]
+    highScores: {} // { blitz: [{ score, difficulty, date }, ...] } best first
+  };
+}
+
+function createEmptyBucket() {
+  return {
+    totalRounds: 0,
+    totalCorrectRounds: 0,
+    bestStreak: 0
+  };
+}
+
+/**
+ * Convert an older stats blob to the current shape.
+ * v1 was a single global { totalRounds, totalCorrectRounds, bestStreak }
+ * shared by every mode. It can't be split after the fact, so it is kept
+ * as the VS / normal bucket, the default mode and difficulty.
+ */
+function migrateStats(parsed) {
+  if (parsed.version === STATS_VERSION) {
+    return { ...createEmptyStats(), ...parsed };
+  }
+
+  const migrated = createEmptyStats();
+  migrated.modes.vs = {
+    normal: {
+      totalRounds: parsed.totalRounds || 0,
+      totalCorrectRounds: parsed.totalCorrectRounds || 0,
+      bestStreak: parsed.bestStreak || 0
+    }
+  };
+  return migrated;
+}
 
 export function loadStats() {
   try {
     const raw = localStorage.getItem(STATS_KEY);
     if (!raw) return;
     const parsed = JSON.parse(raw);
-    stats = { ...stats, ...parsed };
+    stats = migrateStats(parsed);
+    if (parsed.version !== STATS_VERSION) {
+      saveStats();
+    }
   } catch (err) {
     console.warn('Failed to load stats:', err);
   }
@@ -28,17 +74,90 @@ export function saveStats() {
   }
 }
 
-export function recordRound(correct, streakAfterRound) {
-  stats.totalRounds += 1;
+function getBucket(mode, difficulty) {
+  if (!stats.modes[mode]) {
+    stats.modes[mode] = {};
+  }
+  if (!stats.modes[mode][difficulty]) {
+    stats.modes[mode][difficulty] = createEmptyBucket();
+  }
+  return stats.modes[mode][difficulty];
+}
+
+export function recordRound(mode, difficulty, correct, streakAfterRound) {
+  const bucket = getBucket(mode, difficulty);
+  bucket.totalRounds += 1;
   if (correct) {
-    stats.totalCorrectRounds += 1;
-    if (streakAfterRound > stats.bestStreak) {
-      stats.bestStreak = streakAfterRound;
+    bucket.totalCorrectRounds += 1;
+    if (streakAfterRound > bucket.bestStreak) {
+      bucket.bestStreak = streakAfterRound;
     }
   }
   saveStats();
 }
 
+/**
+ * Record a run (the player's final streak) for the history. Runs left
+ * with Restart or a mode switch count too, flagged `abandoned`, so the
+ * histogram isn't skewed toward runs that ended on a miss.
+ */
+export function recordRun(mode, difficulty, length, { abandoned = false } = {}) {
+  stats.runs.push({
+    mode,
+    difficulty,
+    date: new Date().toISOString(),
+    length,
+    abandoned
+  });
+  if (stats.runs.length > MAX_RUN_HISTORY) {
+    stats.runs.splice(0, stats.runs.length - MAX_RUN_HISTORY);
+  }
+  saveStats();
+}
+
+/**
+ * Add a score to a mode's high-score table.
+ * Returns the 1-based rank it reached, or null if it didn't make the table.
+ */
+export function recordHighScore(mode, difficulty, score) {
+  const table = stats.highScores[mode] || [];
+  const entry = { score, difficulty, date: new Date().toISOString() };
+
+  table.push(entry);
+  table.sort((a, b) => b.score - a.score);
+  table.splice(MAX_HIGH_SCORES);
+  stats.highScores[mode] = table;
+  saveStats();
+
+  const rank = table.indexOf(entry);
+  return rank >= 0 ? rank + 1 : null;
+}
+
+export function getHighScores(mode) {
+  return stats.highScores[mode] || [];
+}
+
 export function getStats() {
   return stats;
 }
+
+/**
+ * Totals for one mode + difficulty (zeros if never played).
+ */
+export function getModeStats(mode, difficulty) {
+  return stats.modes[mode]?.[difficulty] || createEmptyBucket();
+}
+
+/**
+ * Difficulties that have any recorded rounds for a mode.
+ */
+export function getPlayedDifficulties(mode) {
+  return Object.keys(stats.modes[mode] || {});
+}
+
+/**
+ * Runs for one mode + difficulty, oldest first.
+ */
+export function getRunHistory(mode, difficulty) {
+  return stats.runs.filter(run => run.mode === mode && run.difficulty === difficulty);
+}
@@ -1,36 +1,346 @@
 // js/tierUtils.js
-// Defines the complete subtier ladder and provides helper functions
-// for comparing characters based on their highestTier within this ladder.
-
-// Full ordered ladder of subtiers (and Tier 0 at the top)
-export const TIER_ORDER = [
-  "Tier 0",
-  "High 1-A", "1-A", "Low 1-A",
-  "High 1-B", "1-B", "1-C", "Low 1-C",
-  "2-A", "2-B", "2-C", "Low 2-C",
-  "High 3-A", "3-A", "3-B", "3-C",
-  "4-A", "4-B", "High 4-C", "4-C", "Low 4-C",
-  "High 5-A", "5-A", "5-B", "Low 5-B", "5-C",
-  "Tier 6", "High 6-A", "6-A", "High 6-B", "6-B", "Low 6-B", "High 6-C", "6-C",
-  "High 7-A", "7-A", "7-B", "Low 7-B", "High 7-C", "7-C", "Low 7-C",
-  "8-A", "8-B", "High 8-C", "8-C",
-  "9-A", "9-B", "9-C",
-  "10-A", "10-B", "10-C",
-  "11-A", "11-B", "11-C"
-];
+// Tier model built from data/tier_hierachy.txt: the ordered ladder,
+// parent tiers ("Tier 6") and their subtiers ("High 6-A", ...), plus
+// helpers for comparing characters by their highestTier on that ladder.
+
+// Full ordered ladder, strongest first, exactly as listed in the hierarchy
+// file. A parent tier sits directly above its own subtiers, so a profile
+// only known as "Tier 7" ranks at the top of Tier 7.
+// Filled in place by setTierHierarchy() so importers keep a live reference.
+export const TIER_ORDER = [];
+
+const parentOf = new Map();   // subtier -> parent tier ("High 6-A" -> "Tier 6")
+const childrenOf = new Map(); // parent tier -> [subtiers]
+const stepOf = new Map();     // tier -> subtier step, see getTierDistance
+
+const PARENT_PATTERN = /^Tier (\d+)$/;
+
+/**
+ * Build the tier model from the hierarchy file's lines, e.g.
+ *   Tier 6
+ *   High 6-A
+ *   6-A
+ *   ...
+ * Every line is a ladder entry; "Tier N" lines open a new parent.
+ */
+export function setTierHierarchy(lines) {
+  TIER_ORDER.length = 0;
+  parentOf.clear();
+  childrenOf.clear();
+  stepOf.clear();
+
+  let parent = null;
+  for (const line of lines) {
+    const tier = line.trim();
+    if (!tier || TIER_ORDER.includes(tier)) continue;
+
+    TIER_ORDER.push(tier);
+    if (PARENT_PATTERN.test(tier)) {
+      parent = tier;
+      childrenOf.set(tier, []);
+    } else if (parent) {
+      parentOf.set(tier, parent);
+      childrenOf.get(parent).push(tier);
+    }
+  }
+
+  // Parent tiers with subtiers share the step of their strongest subtier;
+  // the rest (every subtier, plus "Tier 0") each take one step
+  let step = 0;
+  for (const tier of TIER_ORDER) {
+    if (isLadderStep(tier)) {
+      stepOf.set(tier, step++);
+    }
+  }
+  for (const [parentTier, children] of childrenOf) {
+    if (children.length > 0) stepOf.set(parentTier, stepOf.get(children[0]));
+  }
+}
 
 // Return the position index of a tier within the TIER_ORDER ladder
 export function getTierIndex(tier) {
   return TIER_ORDER.indexOf(tier);
 }
 
-// Determine which character is stronger based on highestTier ordering
-export function getStrongerCharacter(a, b) {
-  const idxA = getTierIndex(a.highestTier);
-  const idxB = getTierIndex(b.highestTier);
+export function isKnownTier(tier) {
+  return getTierIndex(tier) >= 0;
+}
+
+/**
+ * True for the ladder rows that count as one subtier step: every subtier,
+ * plus parent tiers without subtiers of their own ("Tier 0"). Parent
+ * headings like "Tier 6" are not steps.
+ */
+export function isLadderStep(tier) {
+  return isKnownTier(tier) && !(childrenOf.get(tier)?.length > 0);
+}
 
-  if (idxA < 0 || idxB < 0) return null;
+/**
+ * Subtier steps between two tiers: the gap used by difficulties, scoring
+ * and analytics. Parent headings don't add a step, so 6-C to 7-C is 6
+ * and "Tier 7" sits on the same step as High 7-A. Null for unknown tiers.
+ */
+export function getTierDistance(tierA, tierB) {
+  if (!stepOf.has(tierA) || !stepOf.has(tierB)) return null;
+  return Math.abs(stepOf.get(tierA) - stepOf.get(tierB));
+}
+
+// "High 6-A" -> "Tier 6"; parent tiers (and unknown strings) -> null
+export function getParentTier(tier) {
+  return parentOf.get(tier) || null;
+}
+
+export function getChildTiers(parentTier) {
+  return childrenOf.get(parentTier) || [];
+}
+
+/**
+ * Map an AllTier list onto the ladder, keeping its order. Bare numbers
+ * ("6") stand for their parent tier ("Tier 6"); a parent tier is dropped
+ * when the list also names one of its subtiers, since it is only a
+ * heading there. Returns { tiers, unknown } where `unknown`
+ * holds the strings the hierarchy doesn't know.
+ */
+export function resolveTiers(allTiers) {
+  const list = Array.isArray(allTiers) ? allTiers.map(t => String(t).trim()) : [];
+  const tiers = [];
+  const unknown = [];
+
+  for (const raw of list) {
+    const tier = /^\d+$/.test(raw) ? `Tier ${Number(raw)}` : raw;
+
+    if (!isKnownTier(tier)) {
+      unknown.push(raw);
+      continue;
+    }
+
+    const childListed = getChildTiers(tier).some(child => list.includes(child));
+    if (!childListed && !tiers.includes(tier)) {
+      tiers.push(tier);
+    }
+  }
+
+  return { tiers, unknown };
+}
 
-  // Lower index means higher power (Tier 0 at index 0)
-  return idxA < idxB ? a : b;
+// Names from the VS Battles scale ("The Scale" on the Tiering System page).
+// Parent tiers without a name of their own are described by the span of
+// their subtiers (see getTierName).
+const TIER_NAMES = {
+  'Tier 0': 'Boundless',
+  'High 1-A': 'High Outerverse level',
+  '1-A': 'Outerverse level',
+  'Low 1-A': 'Low Outerverse level',
+  'High 1-B': 'High Hyperverse level',
+  '1-B': 'Hyperverse level',
+  '1-C': 'Complex Multiverse level',
+  'Low 1-C': 'Low Complex Multiverse level',
+  '2-A': 'Multiverse level+',
+  '2-B': 'Multiverse level',
+  '2-C': 'Low Multiverse level',
+  'Low 2-C': 'Universe level+',
+  'High 3-A': 'High Universe level',
+  '3-A': 'Universe level',
+  '3-B': 'Multi-Galaxy level',
+  '3-C': 'Galaxy level',
+  '4-A': 'Multi-Solar System level',
+  '4-B': 'Solar System level',
+  'High 4-C': 'Large Star level',
+  '4-C': 'Star level',
+  'Low 4-C': 'Small Star level',
+  'High 5-A': 'Dwarf Star level',
+  '5-A': 'Large Planet level',
+  '5-B': 'Planet level',
+  'Low 5-B': 'Small Planet level',
+  '5-C': 'Moon level',
+  'High 6-A': 'Multi-Continent level',
+  '6-A': 'Continent level',
+  'High 6-B': 'Large Country level',
+  '6-B': 'Country level',
+  'Low 6-B': 'Small Country level',
+  'High 6-C': 'Large Island level',
+  '6-C': 'Island level',
+  'High 7-A': 'Large Mountain level',
+  '7-A': 'Mountain level',
+  '7-B': 'City level',
+  'Low 7-B': 'Small City level',
+  'High 7-C': 'Large Town level',
+  '7-C': 'Town level',
+  'Low 7-C': 'Small Town level',
+  '8-A': 'Multi-City Block level',
+  '8-B': 'City Block level',
+  'High 8-C': 'Large Building level',
+  '8-C': 'Building level',
+  '9-A': 'Room level',
+  '9-B': 'Wall level',
+  '9-C': 'Street level',
+  '10-A': 'Athlete level',
+  '10-B': 'Human level',
+  '10-C': 'Below Average Human level',
+  '11-A': 'Microscopic level',
+  '11-B': 'Molecular level',
+  '11-C': 'Atomic level'
+};
+
+// What each tier covers on the scale: energy in tons of TNT where the
+// scale is energy based, otherwise the size of what gets destroyed.
+// Rounded; the wiki's Tiering System page has the exact current values.
+const TIER_RANGES = {
+  'Tier 0': 'Beyond every dimensional hierarchy',
+  'High 1-A': 'Beyond the whole hierarchy of Outerversal levels',
+  '1-A': 'Beyond any number of dimensions',
+  'Low 1-A': 'Uncountably infinite dimensions',
+  'High 1-B': 'Countably infinite dimensions',
+  '1-B': '12 to any finite number of dimensions',
+  '1-C': '7 to 11 dimensions',
+  'Low 1-C': '5 to 6 dimensions',
+  '2-A': 'A countably infinite number of universes',
+  '2-B': '1001 to any finite number of universes',
+  '2-C': '2 to 1000 universes',
+  'Low 2-C': 'A whole universe including its space-time',
+  'High 3-A': 'An infinite-sized 3-D universe',
+  '3-A': 'The observable universe',
+  '3-B': 'Multiple galaxies',
+  '3-C': 'A galaxy',
+  '4-A': 'Multiple solar systems',
+  '4-B': 'A solar system',
+  'High 4-C': 'Stars much larger than the Sun',
+  '4-C': 'A star the size of the Sun',
+  'Low 4-C': 'Small stars',
+  'High 5-A': 'Brown dwarfs and other dwarf stars',
+  '5-A': 'Planets larger than Earth, like gas giants',
+  '5-B': 'An Earth-sized planet',
+  'Low 5-B': 'Planets smaller than Earth',
+  '5-C': 'A moon',
+  'High 6-A': 'Several continents',
+  '6-A': 'A continent',
+  'High 6-B': 'A large country',
+  '6-B': 'A country',
+  'Low 6-B': 'A small country',
+  'High 6-C': 'A large island',
+  '6-C': '1 to 4.3 gigatons of TNT',
+  'High 7-A': '100 megatons to 1 gigaton of TNT',
+  '7-A': '6.3 to 100 megatons of TNT',
+  '7-B': '1 to 6.3 megatons of TNT',
+  'Low 7-B': '100 kilotons to 1 megaton of TNT',
+  'High 7-C': '20 to 100 kilotons of TNT',
+  '7-C': '5.8 to 20 kilotons of TNT',
+  'Low 7-C': '1 to 5.8 kilotons of TNT',
+  '8-A': '11.5 tons to 1 kiloton of TNT',
+  '8-B': '2 to 11.5 tons of TNT',
+  'High 8-C': '0.25 to 2 tons of TNT',
+  '8-C': '11 kilograms to 0.25 tons of TNT',
+  '9-A': 'Destroying a room',
+  '9-B': 'Breaking through walls',
+  '9-C': 'A bit beyond peak human strength',
+  '10-A': 'Peak human athletes',
+  '10-B': 'An average adult human',
+  '10-C': 'Below an average adult human',
+  '11-A': 'Microscopic objects such as cells',
+  '11-B': 'Molecules',
+  '11-C': 'Atoms'
+};
+
+/**
+ * Scale name for a tier: "7-A" -> "Mountain level". A parent tier
+ * without its own name spans its subtiers ("Tier 7" -> "Small Town
+ * level to Large Mountain level"). Null for unknown tiers.
+ */
+export function getTierName(tier) {
+  if (TIER_NAMES[tier]) return TIER_NAMES[tier];
+
+  const named = getChildTiers(tier).filter(child => TIER_NAMES[child]);
+  if (named.length === 0) return null;
+  const strongest = TIER_NAMES[named[0]];
+  const weakest = TIER_NAMES[named[named.length - 1]];
+  return strongest === weakest ? strongest : `${weakest} to ${strongest}`;
+}
+
+/**
+ * What a tier covers: "7-A" -> "6.3 to 100 megatons of TNT". Parent
+ * tiers without their own entry span their subtiers. Null for unknown tiers.
+ */
+export function getTierScaleRange(tier) {
+  if (TIER_RANGES[tier]) return TIER_RANGES[tier];
+
+  const children = getChildTiers(tier);
+  if (children.length === 0) return null;
+  return `From ${children[children.length - 1]} up to ${children[0]}`;
+}
+
+// Answer id for VS rounds where neither character is stronger
+export const TIE_ID = 'tie';
+
+/**
+ * Strongest and weakest ladder tiers a character's profile reaches,
+ * from allTiers (already resolved onto the ladder by the data loader).
+ * Abilisk, for example, spans { top: 'High 6-C', bottom: '7-A' }.
+ */
+export function getTierRange(c) {
+  const indices = (c.allTiers || [])
+    .map(getTierIndex)
+    .filter(idx => idx >= 0);
+
+  if (indices.length === 0) {
+    return { top: c.highestTier || null, bottom: c.highestTier || null };
+  }
+
+  return {
+    top: TIER_ORDER[Math.min(...indices)],
+    bottom: TIER_ORDER[Math.max(...indices)]
+  };
+}
+
+/**
+ * True when the top of a character's range is only a lower bound on its
+ * profile ("At least 7-A"), so its real top may sit higher.
+ * `openTiers` comes from the tier line parsed by the data loader.
+ */
+export function isTopTierOpenEnded(c) {
+  const { top } = getTierRange(c);
+  return !!top && (c.openTiers || []).includes(top);
+}
+
+/**
+ * Compare two characters by the top of their tier ranges, i.e. their
+ * strongest key (key-version cards only span that key's tier).
+ * Returns 'a' or 'b' for the stronger one, or 'tie' when the matchup is
+ * a stalemate or inconclusive:
+ *   - both top out on the same subtier step (6-A vs 6-A, 6-A vs at
+ *     least 6-A, or "Tier 6" vs High 6-A), whatever their lower keys reach;
+ *   - the weaker top is only a lower bound ("At least 6-C") and the
+ *     stronger one sits in the same main tier (6-A), so it may reach it.
+ * Null when either tier is unknown.
+ */
+export function compareCharacters(a, b) {
+  const rangeA = getTierRange(a);
+  const rangeB = getTierRange(b);
+  // Same measure as getTierDistance, so a 0-step gap is never a win
+  const stepA = stepOf.get(rangeA.top);
+  const stepB = stepOf.get(rangeB.top);
+
+  if (stepA === undefined || stepB === undefined) return null;
+  if (stepA === stepB) return 'tie';
+
+  // Lower step means higher power (Tier 0 at step 0)
+  const aStronger = stepA < stepB;
+  const [strongerTop, weaker, weakerTop] = aStronger
+    ? [rangeA.top, b, rangeB.top]
+    : [rangeB.top, a, rangeA.top];
+
+  const parent = getParentTier(weakerTop);
+  if (isTopTierOpenEnded(weaker) && parent && parent === getParentTier(strongerTop)) {
+    return 'tie';
+  }
+
+  return aStronger ? 'a' : 'b';
+}
+
+// Determine which character is stronger (see compareCharacters).
+// Null for ties, inconclusive matchups and unknown tiers.
+export function getStrongerCharacter(a, b) {
+  const result = compareCharacters(a, b);
+  if (result === 'a') return a;
+  if (result === 'b') return b;
+  return null;
 }
@@ -1,44 +1,21 @@
 
 import { getGameState, handleChoice, startNewRound, restartGame } from './gameLogic.js';
-import { getStats } from './stats.js';
-import { getCharacters } from './dataLoader.js';
+import { TIE_ID, getTierRange, getTierName } from './tierUtils.js';
+import { getModeStats } from './stats.js';
+import { loadSummary, whenAllCharactersLoaded } from './dataLoader.js';
 import { getSettings, updateSetting } from './settings.js';
-
-/* --------------------------------------------------
-   IMAGE UTILITIES
--------------------------------------------------- */
-
-function cleanWikiImageUrl(url) {
-  if (!url) return '';
-  const trimmed = url.trim();
-  const idx = trimmed.indexOf('/revision/');
-  return idx !== -1 ? trimmed.slice(0, idx) : trimmed;
-}
-
-function getPrimaryImageUrl(character) {
-  if (!character) return '';
-  let url = '';
-
-  if (character.imageUrl && /^https?:\/\//i.test(character.imageUrl)) {
-    url = character.imageUrl;
-  } else if (character._raw?.ImageURL) {
-    url = character._raw.ImageURL;
-  } else if (character.ImageURL) {
-    url = character.ImageURL;
-  } else if (character.altImageUrls?.length > 0) {
-    const firstAlt = character.altImageUrls[0];
-    if (/^https?:\/\//i.test(firstAlt)) url = firstAlt;
-  }
-
-  return cleanWikiImageUrl(url);
-}
-
-function getAltImageUrls(character) {
-  if (!character?.altImageUrls?.length) return [];
-  return character.altImageUrls
-    .map(cleanWikiImageUrl)
-    .filter(url => /^https?:\/\//i.test(url));
-}
+import { getDailyAttempt, formatTimeUntilNextDaily } from './daily.js';
+import { buildShareText, copyToClipboard } from './share.js';
+import { loadCharacterImage, preloadCharacterImages } from './images.js';
+import { renderCharacterExplanation, renderVsVerdict } from './explain.js';
+import { renderTierLink } from './uiTierReference.js';
+import {
+  initSeriesUI,
+  refreshSeriesCoverage,
+  refreshSeriesWarning,
+  setSelectedSeries,
+  getSelectedSeries
+} from './uiSeries.js';
 
 /* --------------------------------------------------
    UI STATE + ELEMENT REFERENCES
@@ -46,6 +23,11 @@ function getAltImageUrls(character) {
 
 let els = {};
 let infoPanelVisible = false;
+let shareCopied = false;
+
+// Summary fetch for the pair on screen: { pair, promise }, started once
+// so renders while it is pending don't queue more redraws
+let summaryLoad = null;
 
 /* --------------------------------------------------
    INIT UI
@@ -56,12 +38,15 @@ export function initUI() {
   els.streakDisplay = document.getElementById('streak-display');
   els.cardLeft = document.getElementById('card-left');
   els.cardRight = document.getElementById('card-right');
+  els.tieButton = document.getElementById('tie-button');
 
   els.infoButton = document.getElementById('info-button');
   els.infoPanel = document.getElementById('info-panel');
 
   els.nextButton = document.getElementById('next-button');
   els.restartButton = document.getElementById('restart-button');
+  els.shareButton = document.getElementById('share-button');
+  els.reviewButton = document.getElementById('review-button');
 
   // Rules modal elements
   els.rulesButton = document.getElementById('rules-button');
@@ -71,6 +56,7 @@ export function initUI() {
   // Card click wiring
   els.cardLeft?.addEventListener('click', () => onCardClick('left'));
   els.cardRight?.addEventListener('click', () => onCardClick('right'));
+  els.tieButton?.addEventListener('click', () => submitChoice(TIE_ID));
 
   // Info toggle
   els.infoButton?.addEventListener('click', toggleInfoPanel);
@@ -78,7 +64,8 @@ export function initUI() {
   // Next / Restart buttons
   els.nextButton?.addEventListener('click', () => {
     infoPanelVisible = false;
-    restartAndRenderNewRound();
+    startNewRound();
+    render();
   });
 
   els.restartButton?.addEventListener('click', () => {
@@ -86,6 +73,8 @@ export function initUI() {
     restartAndRenderNewRound();
   });
 
+  els.shareButton?.addEventListener('click', shareRun);
+
   /* ---------- RULES MODAL ---------- */
 
   if (els.rulesButton && els.rulesModal) {
@@ -111,15 +100,33 @@ export function initUI() {
 
   els.menuToggle = document.getElementById('menu-toggle');
   els.settingsMenu = document.getElementById('settings-menu');
-  els.veryHardToggle = document.getElementById('very-hard-toggle');
+  els.difficultySelect = document.getElementById('difficulty-select');
+  els.customGapSection = document.getElementById('custom-gap-section');
+  els.customMinGapInput = document.getElementById('custom-min-gap');
+  els.customMaxGapInput = document.getElementById('custom-max-gap');
   els.customModeToggle = document.getElementById('custom-mode-toggle');
   els.customSeriesSection = document.getElementById('custom-series-section');
-  els.seriesList = document.getElementById('series-list');
   els.menuApplyButton = document.getElementById('menu-apply-button');
   els.lightModeToggle = document.getElementById('light-mode-toggle');
+  els.imageOrderSelect = document.getElementById('image-order-select');
+  els.dailyModeToggle = document.getElementById('daily-mode-toggle');
+  els.survivalLivesSelect = document.getElementById('survival-lives-select');
+  els.adaptiveToggle = document.getElementById('adaptive-toggle');
+  els.useKeysToggle = document.getElementById('use-keys-toggle');
+  els.curatedPoolToggle = document.getElementById('curated-pool-toggle');
 
   els.menuToggle?.addEventListener('click', toggleMenu);
 
+  els.difficultySelect?.addEventListener('change', () => {
+    els.customGapSection.hidden = els.difficultySelect.value !== 'custom';
+    refreshSeriesWarning();
+  });
+
+  // The series warning follows the difficulty picked here, before Apply
+  els.customMinGapInput?.addEventListener('input', refreshSeriesWarning);
+  els.customMaxGapInput?.addEventListener('input', refreshSeriesWarning);
+  els.curatedPoolToggle?.addEventListener('change', refreshSeriesWarning);
+
   els.customModeToggle?.addEventListener('change', () => {
     const enabled = els.customModeToggle.checked;
     els.customSeriesSection.hidden = !enabled;
@@ -127,7 +134,7 @@ export function initUI() {
 
   els.menuApplyButton?.addEventListener('click', onApplySettings);
 
-  populateSeriesList();
+  initSeriesUI({ getPending: readPendingDifficulty });
   syncSettingsToUI();
 
   render();
@@ -145,11 +152,45 @@ function onCardClick(side) {
     ? state.currentPair.left.id
     : state.currentPair.right.id;
 
+  submitChoice(selectedId);
+}
+
+function submitChoice(selectedId) {
   const result = handleChoice(selectedId);
   if (!result.valid) return;
 
   infoPanelVisible = true;
   render();
+
+  const { nextPair } = getGameState();
+  if (nextPair) {
+    preloadCharacterImages([nextPair.left, nextPair.right]);
+  }
+
+  // Run is over: copy the result grid straight away (still inside the click)
+  if (result.phase === 'afterWrong') {
+    shareRun();
+  }
+}
+
+/* --------------------------------------------------
+   SHARE RESULT
+-------------------------------------------------- */
+
+async function shareRun() {
+  const state = getGameState();
+  if (!state.history.length) return;
+
+  const text = buildShareText({
+    mode: 'vs',
+    daily: state.daily,
+    dailyDate: state.dailyDate,
+    history: state.history,
+    maxLives: state.maxLives
+  });
+
+  shareCopied = await copyToClipboard(text);
+  render();
 }
 
 /* --------------------------------------------------
@@ -175,58 +216,87 @@ function toggleMenu() {
   els.menuToggle.setAttribute('aria-expanded', String(!nowHidden));
 }
 
-function populateSeriesList() {
-  if (!els.seriesList) return;
-  const chars = getCharacters();
-  const origins = Array.from(new Set(chars.map(c => c.origin).filter(Boolean))).sort();
-  els.seriesList.innerHTML = origins.map(origin => {
-    const idSafe = 'series-' + origin.replace(/\s+/g, '-').replace(/[^a-zA-Z0-9_-]/g, '');
-    return `
-      <label class="series-option">
-        <input type="checkbox" name="series-filter" value="${origin}" id="${idSafe}">
-        <span>${origin}</span>
-      </label>`;
-  }).join('');
+/**
+ * Rebuild the series picker, e.g. once every tier file has loaded.
+ */
+export function refreshSeriesList() {
+  refreshSeriesCoverage();
 }
 
 function syncSettingsToUI() {
   const settings = getSettings();
-  els.veryHardToggle.checked = !!settings.veryHardMode;
+  els.difficultySelect.value = settings.difficulty || 'normal';
+  els.customGapSection.hidden = settings.difficulty !== 'custom';
+  els.customMinGapInput.value = String(settings.customMinTierGap || 1);
+  els.customMaxGapInput.value = settings.customMaxTierGap ? String(settings.customMaxTierGap) : '';
   els.customModeToggle.checked = !!settings.customMode;
   els.customSeriesSection.hidden = !settings.customMode;
 
-  const selectedSet = new Set(settings.customSeries);
-  els.seriesList.querySelectorAll('input[name="series-filter"]').forEach(cb => {
-    cb.checked = selectedSet.has(cb.value);
-  });
+  setSelectedSeries(settings.customSeries || []);
 
   els.lightModeToggle.checked = !!settings.lightMode;
+  els.imageOrderSelect.value = settings.imageOrder || 'local';
+  els.dailyModeToggle.checked = !!settings.dailyMode;
+  els.survivalLivesSelect.value = String(settings.survivalLives || 0);
+  els.adaptiveToggle.checked = !!settings.adaptiveDifficulty;
+  els.useKeysToggle.checked = !!settings.useKeys;
+  els.curatedPoolToggle.checked = !!settings.curatedPool;
   applyTheme(settings.lightMode);
 }
 
-function onApplySettings() {
-  const veryHard = els.veryHardToggle.checked;
+/**
+ * Difficulty, custom gaps and curated pool as currently picked in the
+ * menu (not yet applied).
+ */
+function readPendingDifficulty() {
+  const difficulty = els.difficultySelect.value;
+  const customMinTierGap = Math.max(1, Math.floor(Number(els.customMinGapInput.value)) || 1);
+  // Empty max = no upper limit; never below the min
+  const typedMax = Math.floor(Number(els.customMaxGapInput.value)) || null;
+  const customMaxTierGap = typedMax === null ? null : Math.max(customMinTierGap, typedMax);
+  const curatedPool = els.curatedPoolToggle.checked;
+  return { difficulty, customMinTierGap, customMaxTierGap, curatedPool };
+}
+
+async function onApplySettings() {
+  const { difficulty, customMinTierGap, customMaxTierGap, curatedPool } = readPendingDifficulty();
   const customMode = els.customModeToggle.checked;
   const lightMode = els.lightModeToggle.checked;
+  const imageOrder = els.imageOrderSelect.value;
+  const dailyMode = els.dailyModeToggle.checked;
+  const survivalLives = Number(els.survivalLivesSelect.value) || 0;
+  const adaptiveDifficulty = els.adaptiveToggle.checked;
+  const useKeys = els.useKeysToggle.checked;
 
-  let selectedSeries = [];
-  if (customMode) {
-    els.seriesList.querySelectorAll('input[name="series-filter"]:checked')
-      .forEach(cb => selectedSeries.push(cb.value));
-  }
+  const selectedSeries = customMode ? getSelectedSeries() : [];
 
-  updateSetting('veryHardMode', veryHard);
+  updateSetting('difficulty', difficulty);
+  updateSetting('customMinTierGap', customMinTierGap);
+  updateSetting('customMaxTierGap', customMaxTierGap);
   updateSetting('customMode', customMode);
   updateSetting('customSeries', selectedSeries);
   updateSetting('lightMode', lightMode);
+  updateSetting('imageOrder', imageOrder);
+  updateSetting('dailyMode', dailyMode);
+  updateSetting('survivalLives', survivalLives);
+  updateSetting('adaptiveDifficulty', adaptiveDifficulty);
+  updateSetting('useKeys', useKeys);
+  updateSetting('curatedPool', curatedPool);
 
   applyTheme(lightMode);
-
-  infoPanelVisible = false;
-  restartAndRenderNewRound();
+  // Re-check the picker's warning against the new difficulty
+  setSelectedSeries(selectedSeries);
 
   els.settingsMenu.hidden = true;
   els.menuToggle.setAttribute('aria-expanded', 'false');
+
+  // The daily challenge must deal from the full pool to match everyone else's
+  if (dailyMode) {
+    await whenAllCharactersLoaded();
+  }
+
+  infoPanelVisible = false;
+  restartAndRenderNewRound();
 }
 
 /* --------------------------------------------------
@@ -235,7 +305,7 @@ function onApplySettings() {
 
 export function render() {
   const state = getGameState();
-  const stats = getStats();
+  const stats = getModeStats('vs', state.difficulty);
 
   renderStreak(state, stats);
   renderCards(state);
@@ -245,15 +315,49 @@ export function render() {
 
 function renderStreak(state, stats) {
   if (!els.streakDisplay) return;
+
+  if (state.phase === 'dailyLocked') {
+    const attempt = getDailyAttempt('vs', state.dailyDate);
+    els.streakDisplay.textContent =
+      `Daily ${state.dailyDate} done, streak: ${attempt ? attempt.streak : 0} | Next daily in ${formatTimeUntilNextDaily()}`;
+    return;
+  }
+
+  const dailyPrefix = state.daily ? `Daily ${state.dailyDate} | ` : '';
+  const livesText = state.maxLives > 0
+    ? ` | Lives: ${'❤'.repeat(state.lives)}${'♡'.repeat(state.maxLives - state.lives)}`
+    : '';
   els.streakDisplay.textContent =
-    `Current streak: ${state.streak} | Best: ${stats.bestStreak} | Correct: ${stats.totalCorrectRounds}/${stats.totalRounds}`;
+    `${dailyPrefix}Current streak: ${state.streak}${livesText} | Best: ${stats.bestStreak} | Correct: ${stats.totalCorrectRounds}/${stats.totalRounds}`;
 }
 
 function renderCards(state) {
   if (!els.cardLeft || !els.cardRight) return;
 
-  els.cardLeft.disabled = state.phase !== 'inRound';
-  els.cardRight.disabled = state.phase !== 'inRound';
+  // Revealed cards only look disabled, so a click on their tier still
+  // reaches the tier scale reference
+  const revealed = isRoundResolved(state.phase);
+  [els.cardLeft, els.cardRight].forEach(card => {
+    card.disabled = state.phase !== 'inRound' && !revealed;
+    card.setAttribute('aria-disabled', String(state.phase !== 'inRound'));
+  });
+
+  if (state.phase === 'dailyLocked') {
+    els.cardLeft.className = 'vs-card';
+    els.cardRight.className = 'vs-card';
+    els.cardLeft.textContent = "Today's daily is done.";
+    els.cardRight.textContent = 'Come back tomorrow!';
+    return;
+  }
+
+  // No pair fits the current series filter + difficulty
+  if (state.phase === 'error') {
+    els.cardLeft.className = 'vs-card';
+    els.cardRight.className = 'vs-card';
+    els.cardLeft.textContent = 'No pair fits these settings.';
+    els.cardRight.textContent = 'Pick more series or another difficulty in the menu.';
+    return;
+  }
 
   if (!state.currentPair) {
     els.cardLeft.textContent = 'Loading...';
@@ -271,68 +375,69 @@ function renderCard(cardElement, character, state) {
     return;
   }
 
-  const isResultPhase =
-    state.phase === 'afterCorrect' || state.phase === 'afterWrong';
+  const isResultPhase = isRoundResolved(state.phase);
+  const isTie = state.correctId === TIE_ID;
   const isCorrect = isResultPhase && character.id === state.correctId;
 
-  cardElement.className =
-    'vs-card' + (isResultPhase ? (isCorrect ? ' vs-card-correct' : ' vs-card-incorrect') : '');
-
-  const primaryImageUrl = getPrimaryImageUrl(character);
-  const altImageUrls = getAltImageUrls(character);
+  let resultClass = '';
+  if (isResultPhase) {
+    resultClass = isTie ? ' vs-card-tie' : isCorrect ? ' vs-card-correct' : ' vs-card-incorrect';
+  }
+  cardElement.className = 'vs-card' + resultClass;
 
-  const hasAnyImage = !!primaryImageUrl || altImageUrls.length > 0;
-  const altImagesAttr = altImageUrls.length ? altImageUrls.join('|') : '';
+  // Show the full span when the profile reaches below its top tier
+  const range = getTierRange(character);
+  const rangeText = range.bottom && range.bottom !== character.highestTier
+    ? `<span class="card-tier-range">(down to ${range.bottom})</span>`
+    : '';
+  const tierName = getTierName(character.highestTier);
 
   cardElement.innerHTML = `
     <div class="card-inner">
-      <div class="card-name">${character.name}</div>
+      <div class="card-name">${getDisplayName(character)}</div>
       <div class="card-origin">${character.origin}</div>
 
       <div class="card-image-wrapper">
-        ${
-          hasAnyImage
-            ? `<img src="${primaryImageUrl || altImageUrls[0]}"
-                     alt="${character.name}"
-                     class="card-image"
-                     data-alt-images="${altImagesAttr}" />`
-            : `<div class="card-image card-image-placeholder">No image</div>`
-        }
+        <img alt="${character.name}" class="card-image" />
       </div>
 
       ${
         isResultPhase
           ? `<div class="card-tier">
-               <span class="card-sub-tier">${character.highestTier || '-'}</span>
-             </div>`
+               ${renderTierLink(character.highestTier)}
+               ${rangeText}
+             </div>
+             ${tierName ? `<div class="card-tier-name">${tierName}</div>` : ''}`
           : ''
       }
     </div>
   `;
 
-  if (hasAnyImage) {
-    const img = cardElement.querySelector('.card-image');
-    if (img) {
-      let altList = img.dataset.altImages ? img.dataset.altImages.split('|') : [];
-      const currentSrc = img.getAttribute('src');
-      altList = altList.filter(url => url !== currentSrc);
-
-      img.addEventListener('error', function handleError() {
-        if (altList.length > 0) {
-          const next = altList.shift();
-          img.src = next;
-        } else {
-          img.removeEventListener('error', handleError);
-          img.src = 'https://via.placeholder.com/256x256?text=No+Image';
-        }
-      });
-    }
-  }
+  loadCharacterImage(cardElement.querySelector('.card-image'), character);
 }
 
 function renderButtons(state) {
-  els.nextButton.hidden = state.phase !== 'afterCorrect';
+  // A lost survival life shows the answer, then the run continues
+  els.nextButton.hidden = state.phase !== 'afterCorrect' && state.phase !== 'afterLifeLost';
   els.restartButton.hidden = state.phase !== 'afterWrong';
+
+  if (els.tieButton) {
+    els.tieButton.hidden = !state.currentPair || state.phase === 'dailyLocked';
+    els.tieButton.disabled = state.phase !== 'inRound';
+    els.tieButton.classList.toggle(
+      'tie-button-answer',
+      isRoundResolved(state.phase) && state.correctId === TIE_ID
+    );
+  }
+
+  if (els.shareButton) {
+    els.shareButton.hidden = state.phase !== 'afterWrong';
+    els.shareButton.textContent = shareCopied ? 'Copied!' : 'Share result';
+  }
+
+  if (els.reviewButton) {
+    els.reviewButton.hidden = state.phase !== 'afterWrong';
+  }
 }
 
 function renderInfoPanel(state) {
@@ -345,7 +450,13 @@ function renderInfoPanel(state) {
   }
 
   const { left, right } = state.currentPair;
-  const resultPhase = state.phase === 'afterCorrect' || state.phase === 'afterWrong';
+  const resultPhase = isRoundResolved(state.phase);
+
+  const leftExplanation = resultPhase ? renderCharacterExplanation(left) : '';
+  const rightExplanation = resultPhase ? renderCharacterExplanation(right) : '';
+  const verdict = resultPhase
+    ? `<p class="info-verdict">${renderVsVerdict(left, right, state.correctId)}</p>`
+    : '';
 
   const leftLink = resultPhase && left.pageUrl
     ? `<a href="${left.pageUrl}" target="_blank" rel="noopener">Open Wiki for ${left.name}</a>`
@@ -355,16 +466,30 @@ function renderInfoPanel(state) {
     ? `<a href="${right.pageUrl}" target="_blank" rel="noopener">Open Wiki for ${right.name}</a>`
     : '';
 
+  // Compact index: summaries are fetched the first time the panel opens
+  if ((left.summaryRef || right.summaryRef) && summaryLoad?.pair !== state.currentPair) {
+    const pair = state.currentPair;
+    summaryLoad = {
+      pair,
+      promise: Promise.all([loadSummary(left), loadSummary(right)]).then(() => {
+        if (getGameState().currentPair === pair) render();
+      })
+    };
+  }
+
   els.infoPanel.hidden = false;
   els.infoPanel.innerHTML = `
+    ${verdict}
     <div class="info-side">
-      <h3>${left.name}</h3>
-      <p>${left.summary || 'No summary available.'}</p>
+      <h3>${getDisplayName(left)}</h3>
+      <p>${left.summary || (left.summaryRef ? 'Loading summary...' : 'No summary available.')}</p>
+      ${leftExplanation}
       ${leftLink}
     </div>
     <div class="info-side">
-      <h3>${right.name}</h3>
-      <p>${right.summary || 'No summary available.'}</p>
+      <h3>${getDisplayName(right)}</h3>
+      <p>${right.summary || (right.summaryRef ? 'Loading summary...' : 'No summary available.')}</p>
+      ${rightExplanation}
       ${rightLink}
     </div>
   `;
@@ -382,9 +507,18 @@ function applyTheme(lightMode) {
    HELPERS
 -------------------------------------------------- */
 
+// "Abomination (Human key)" for key-version cards, the plain name otherwise
+function getDisplayName(character) {
+  return character.keyName ? `${character.name} (${character.keyName} key)` : character.name;
+}
+
+function isRoundResolved(phase) {
+  return phase === 'afterCorrect' || phase === 'afterWrong' || phase === 'afterLifeLost';
+}
+
 function restartAndRenderNewRound() {
+  shareCopied = false;
   restartGame();
   render();
 }
 
-export { getPrimaryImageUrl, getAltImageUrls };
@@ -0,0 +1,210 @@
+// js/uiBlitz.js
+// UI for the timed "blitz" mode: countdown bar, score and a live VS pair.
+
+import {
+  BLITZ_DURATION_MS,
+  WRONG_ANSWER_PENALTY_MS,
+  getBlitzState,
+  getBlitzTimeLeft,
+  startBlitzRun,
+  handleBlitzChoice,
+  tickBlitz
+} from './gameLogicBlitz.js';
+import { getHighScores } from './stats.js';
+import { loadCharacterImage, preloadCharacterImages } from './images.js';
+
+// How often the countdown is redrawn
+const TICK_INTERVAL_MS = 100;
+
+let blitzEls = {};
+let timerId = null;
+
+// Upcoming pair whose images were already requested
+let preloadedPair = null;
+
+export function initBlitzUI() {
+  blitzEls.status = document.getElementById('blitz-status');
+  blitzEls.timerBar = document.getElementById('blitz-timer-bar');
+  blitzEls.cardLeft = document.getElementById('blitz-card-left');
+  blitzEls.cardRight = document.getElementById('blitz-card-right');
+  blitzEls.feedback = document.getElementById('blitz-feedback');
+  blitzEls.startButton = document.getElementById('blitz-start-button');
+  blitzEls.highScores = document.getElementById('blitz-high-scores');
+
+  blitzEls.cardLeft?.addEventListener('click', () => onBlitzCardClick('left'));
+  blitzEls.cardRight?.addEventListener('click', () => onBlitzCardClick('right'));
+
+  blitzEls.startButton?.addEventListener('click', () => {
+    startBlitzRun();
+    startBlitzTimer();
+    renderBlitz();
+  });
+
+  renderBlitz();
+}
+
+/* ---------- Timer ---------- */
+
+function startBlitzTimer() {
+  stopBlitzTimer();
+  timerId = setInterval(() => {
+    tickBlitz();
+    renderBlitz();
+    if (getBlitzState().phase !== 'inRound') {
+      stopBlitzTimer();
+    }
+  }, TICK_INTERVAL_MS);
+}
+
+/**
+ * Stop the countdown (e.g. when leaving blitz mode).
+ */
+export function stopBlitzTimer() {
+  if (timerId !== null) {
+    clearInterval(timerId);
+    timerId = null;
+  }
+}
+
+/* ---------- Input ---------- */
+
+function onBlitzCardClick(side) {
+  const state = getBlitzState();
+  if (!state.currentPair) return;
+
+  const selectedId = side === 'left'
+    ? state.currentPair.left.id
+    : state.currentPair.right.id;
+
+  const result = handleBlitzChoice(selectedId);
+  if (!result.valid) return;
+
+  if (result.phase !== 'inRound') {
+    stopBlitzTimer();
+  }
+  renderBlitz();
+}
+
+/* ---------- Render ---------- */
+
+export function renderBlitz() {
+  const state = getBlitzState();
+
+  renderBlitzStatus(state);
+  renderBlitzCards(state);
+  renderBlitzFeedback(state);
+  renderBlitzHighScores(state);
+
+  if (blitzEls.startButton) {
+    blitzEls.startButton.hidden = state.phase === 'inRound';
+    blitzEls.startButton.textContent = state.phase === 'finished' ? 'Play again' : 'Start';
+  }
+}
+
+function renderBlitzStatus(state) {
+  const timeLeft = getBlitzTimeLeft();
+
+  if (blitzEls.timerBar) {
+    blitzEls.timerBar.style.width = `${Math.min(100, (timeLeft / BLITZ_DURATION_MS) * 100)}%`;
+  }
+
+  if (!blitzEls.status) return;
+
+  if (state.phase === 'ready') {
+    blitzEls.status.textContent =
+      `${BLITZ_DURATION_MS / 1000} seconds. Wrong answers cost ${WRONG_ANSWER_PENALTY_MS / 1000} seconds. Closer tiers score more.`;
+    return;
+  }
+
+  const seconds = Math.ceil(timeLeft / 1000);
+  blitzEls.status.textContent =
+    `Time: ${seconds}s | Score: ${state.score} | Correct: ${state.correctCount}/${state.answered}`;
+}
+
+function renderBlitzCards(state) {
+  const inRound = state.phase === 'inRound' && state.currentPair;
+
+  [
+    [blitzEls.cardLeft, inRound ? state.currentPair.left : null],
+    [blitzEls.cardRight, inRound ? state.currentPair.right : null]
+  ].forEach(([cardElement, character]) => {
+    if (!cardElement) return;
+    cardElement.disabled = !inRound;
+    renderBlitzCard(cardElement, character);
+  });
+
+  // Warm up the next pair's images while this one is on screen
+  const upcoming = state.upcomingPair;
+  if (inRound && upcoming && upcoming !== preloadedPair) {
+    preloadedPair = upcoming;
+    preloadCharacterImages([upcoming.left, upcoming.right]);
+  }
+}
+
+function renderBlitzCard(cardElement, character) {
+  // Re-rendering the same character would restart its image load on every tick
+  const characterId = character ? character.id : '';
+  if (cardElement.dataset.characterId === characterId) return;
+  cardElement.dataset.characterId = characterId;
+
+  if (!character) {
+    cardElement.textContent = '?';
+    return;
+  }
+
+  cardElement.innerHTML = `
+    <div class="card-inner">
+      <div class="card-name">${character.name}</div>
+      <div class="card-origin">${character.origin}</div>
+      <div class="card-image-wrapper">
+        <img alt="${character.name}" class="card-image" />
+      </div>
+    </div>
+  `;
+
+  loadCharacterImage(cardElement.querySelector('img.card-image'), character);
+}
+
+function renderBlitzFeedback(state) {
+  if (!blitzEls.feedback) return;
+
+  if (state.phase === 'finished' && state.answered === 0 && !state.currentPair) {
+    blitzEls.feedback.textContent = 'No pair fits these settings. Pick more series or another difficulty in the menu.';
+    return;
+  }
+
+  if (state.phase === 'finished') {
+    const rankText = state.highScoreRank ? ` New high score #${state.highScoreRank}!` : '';
+    blitzEls.feedback.textContent = `Time's up! Final score: ${state.score}.${rankText}`;
+    return;
+  }
+
+  if (state.phase === 'inRound' && state.lastResult) {
+    blitzEls.feedback.textContent = state.lastResult.correct
+      ? `+${state.lastResult.points}`
+      : `Wrong! -${state.lastResult.penaltyMs / 1000}s`;
+    blitzEls.feedback.className =
+      'blitz-feedback ' + (state.lastResult.correct ? 'blitz-feedback-good' : 'blitz-feedback-bad');
+    return;
+  }
+
+  blitzEls.feedback.textContent = '';
+  blitzEls.feedback.className = 'blitz-feedback';
+}
+
+function renderBlitzHighScores(state) {
+  if (!blitzEls.highScores || state.phase === 'inRound') return;
+
+  const scores = getHighScores('blitz');
+  if (scores.length === 0) {
+    blitzEls.highScores.innerHTML = '';
+    return;
+  }
+
+  blitzEls.highScores.innerHTML = `
+    <h3>High scores</h3>
+    <ol>
+      ${scores.map(entry => `<li>${entry.score} <span class="stats-count">(${entry.date.slice(0, 10)})</span></li>`).join('')}
+    </ol>
+  `;
+}
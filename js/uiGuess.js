@@ -0,0 +1,199 @@
+// js/uiGuess.js
+// UI for tier-guess mode: one character card plus the full tier ladder
+// to pick from (buttons, or type a tier and press Enter).
+
+import {
+  GUESS_ROUNDS_PER_RUN,
+  GUESS_MAX_POINTS,
+  getGuessState,
+  startNewGuessRound,
+  handleTierGuess,
+  restartGuessGame
+} from './gameLogicGuess.js';
+import { getModeStats, getHighScores } from './stats.js';
+import { TIER_ORDER, isLadderStep } from './tierUtils.js';
+import { loadCharacterImage } from './images.js';
+import { renderTierLink } from './uiTierReference.js';
+
+let guessEls = {};
+
+export function initGuessUI() {
+  guessEls.status = document.getElementById('guess-status');
+  guessEls.card = document.getElementById('guess-card');
+  guessEls.ladder = document.getElementById('guess-ladder');
+  guessEls.input = document.getElementById('guess-input');
+  guessEls.tierList = document.getElementById('guess-tier-list');
+  guessEls.feedback = document.getElementById('guess-feedback');
+  guessEls.nextButton = document.getElementById('guess-next-button');
+  guessEls.restartButton = document.getElementById('guess-restart-button');
+
+  buildLadder();
+
+  guessEls.ladder?.addEventListener('click', event => {
+    const button = event.target.closest('button[data-tier]');
+    if (button) onGuess(button.dataset.tier);
+  });
+
+  guessEls.input?.addEventListener('keydown', event => {
+    if (event.key !== 'Enter') return;
+    const typed = guessEls.input.value.trim().toLowerCase();
+    const tier = TIER_ORDER.find(t => isLadderStep(t) && t.toLowerCase() === typed);
+    if (tier) {
+      guessEls.input.value = '';
+      onGuess(tier);
+    }
+  });
+
+  guessEls.nextButton?.addEventListener('click', () => {
+    startNewGuessRound();
+    renderGuess();
+  });
+
+  guessEls.restartButton?.addEventListener('click', () => {
+    restartGuessGame();
+    renderGuess();
+  });
+
+  renderGuess();
+}
+
+/**
+ * Ladder buttons grouped by main tier number ("Tier 0", 1, 2, ... 11).
+ * One button per subtier step; parent headings like "Tier 7" aren't guesses.
+ */
+function buildLadder() {
+  if (!guessEls.ladder) return;
+
+  const steps = TIER_ORDER.filter(isLadderStep);
+  const rows = new Map();
+  for (const tier of steps) {
+    const mainTier = (tier.match(/\d+/) || ['?'])[0];
+    if (!rows.has(mainTier)) rows.set(mainTier, []);
+    rows.get(mainTier).push(tier);
+  }
+
+  guessEls.ladder.innerHTML = Array.from(rows.entries()).map(([mainTier, tiers]) => `
+    <div class="guess-ladder-row">
+      <span class="guess-ladder-label">${mainTier}</span>
+      ${tiers.map(tier => `<button class="guess-tier" data-tier="${tier}">${tier}</button>`).join('')}
+    </div>`).join('');
+
+  if (guessEls.tierList) {
+    guessEls.tierList.innerHTML = steps.map(tier => `<option value="${tier}"></option>`).join('');
+  }
+}
+
+function onGuess(tier) {
+  const result = handleTierGuess(tier);
+  if (!result.valid) return;
+  renderGuess();
+}
+
+/* ---------- Render ---------- */
+
+export function renderGuess() {
+  const state = getGuessState();
+
+  renderGuessStatus(state);
+  renderGuessCard(state);
+  renderGuessLadder(state);
+  renderGuessFeedback(state);
+  renderGuessButtons(state);
+}
+
+function renderGuessStatus(state) {
+  if (!guessEls.status) return;
+  const stats = getModeStats('guess', state.difficulty);
+  guessEls.status.textContent =
+    `Round ${state.round}/${GUESS_ROUNDS_PER_RUN} | Score: ${state.score} | Exact hits: ${stats.totalCorrectRounds}/${stats.totalRounds}`;
+}
+
+function renderGuessCard(state) {
+  const cardElement = guessEls.card;
+  if (!cardElement) return;
+
+  const character = state.character;
+  if (!character) {
+    cardElement.textContent = state.phase === 'error' ? 'No characters available.' : 'Loading...';
+    return;
+  }
+
+  const resolved = state.phase === 'afterGuess';
+  // The card is never an answer; once revealed it's enabled (but still
+  // aria-disabled) so its tier link can be clicked
+  cardElement.disabled = !resolved;
+  cardElement.setAttribute('aria-disabled', 'true');
+  cardElement.className = 'vs-card guess-card' +
+    (resolved ? (state.distance === 0 ? ' vs-card-correct' : ' vs-card-incorrect') : '');
+
+  cardElement.innerHTML = `
+    <div class="card-inner">
+      <div class="card-name">${character.name}</div>
+      <div class="card-origin">${character.origin}</div>
+      <div class="card-image-wrapper">
+        <img alt="${character.name}" class="card-image" />
+      </div>
+      ${
+        resolved
+          ? `<div class="card-tier">
+               ${renderTierLink(character.highestTier)}
+             </div>`
+          : ''
+      }
+    </div>
+  `;
+
+  loadCharacterImage(cardElement.querySelector('img.card-image'), character);
+}
+
+function renderGuessLadder(state) {
+  if (!guessEls.ladder) return;
+
+  const resolved = state.phase === 'afterGuess';
+  const actual = state.character?.highestTier;
+
+  guessEls.ladder.querySelectorAll('button[data-tier]').forEach(button => {
+    const tier = button.dataset.tier;
+    button.disabled = state.phase !== 'inRound';
+    button.classList.toggle('guess-tier-actual', resolved && tier === actual);
+    button.classList.toggle('guess-tier-wrong', resolved && tier === state.guessedTier && tier !== actual);
+  });
+
+  if (guessEls.input) {
+    guessEls.input.disabled = state.phase !== 'inRound';
+  }
+}
+
+function renderGuessFeedback(state) {
+  if (!guessEls.feedback) return;
+
+  if (state.phase !== 'afterGuess') {
+    guessEls.feedback.textContent = '';
+    return;
+  }
+
+  const { distance, points, character } = state;
+  let text = distance === 0
+    ? `Exact! ${character.highestTier} (+${points})`
+    : `It's ${character.highestTier}, you were ${distance} subtier${distance === 1 ? '' : 's'} off (+${points}/${GUESS_MAX_POINTS})`;
+
+  if (state.round >= GUESS_ROUNDS_PER_RUN) {
+    const best = getHighScores('guess')[0];
+    text += ` | Final score: ${state.score}/${GUESS_ROUNDS_PER_RUN * GUESS_MAX_POINTS}`;
+    text += state.highScoreRank === 1 ? ' New best!' : best ? ` (best: ${best.score})` : '';
+  }
+
+  guessEls.feedback.textContent = text;
+}
+
+function renderGuessButtons(state) {
+  const runOver = state.phase === 'error' ||
+    (state.phase === 'afterGuess' && state.round >= GUESS_ROUNDS_PER_RUN);
+
+  if (guessEls.nextButton) {
+    guessEls.nextButton.hidden = state.phase !== 'afterGuess' || runOver;
+  }
+  if (guessEls.restartButton) {
+    guessEls.restartButton.hidden = !runOver;
+  }
+}
@@ -0,0 +1,290 @@
+// js/uiHotseat.js
+// UI for hot-seat mode: a setup form for player names and rules, a
+// hand-off screen between turns that hides the pair (and every earlier
+// pick), the pair itself, and the reveal with each player's answer.
+
+import {
+  HOTSEAT_MIN_PLAYERS,
+  HOTSEAT_MAX_PLAYERS,
+  HOTSEAT_ROUND_OPTIONS,
+  getHotseatState,
+  resetHotseat,
+  startHotseatGame,
+  startHotseatRound,
+  beginHotseatTurn,
+  submitHotseatPick,
+  restartHotseatGame
+} from './gameLogicHotseat.js';
+import { TIE_ID } from './tierUtils.js';
+import { loadCharacterImage } from './images.js';
+import { renderTierLink } from './uiTierReference.js';
+import { escapeHtml } from './html.js';
+
+let hotseatEls = {};
+
+export function initHotseatUI() {
+  hotseatEls.setup = document.getElementById('hotseat-setup');
+  hotseatEls.playerList = document.getElementById('hotseat-player-list');
+  hotseatEls.addPlayerButton = document.getElementById('hotseat-add-player');
+  hotseatEls.roundsSelect = document.getElementById('hotseat-rounds-select');
+  hotseatEls.ruleSelect = document.getElementById('hotseat-rule-select');
+  hotseatEls.startButton = document.getElementById('hotseat-start-button');
+  hotseatEls.game = document.getElementById('hotseat-game');
+  hotseatEls.status = document.getElementById('hotseat-status');
+  hotseatEls.handoff = document.getElementById('hotseat-handoff');
+  hotseatEls.handoffText = document.getElementById('hotseat-handoff-text');
+  hotseatEls.readyButton = document.getElementById('hotseat-ready-button');
+  hotseatEls.pair = document.getElementById('hotseat-pair');
+  hotseatEls.cardLeft = document.getElementById('hotseat-card-left');
+  hotseatEls.cardRight = document.getElementById('hotseat-card-right');
+  hotseatEls.tieButton = document.getElementById('hotseat-tie-button');
+  hotseatEls.results = document.getElementById('hotseat-results');
+  hotseatEls.nextButton = document.getElementById('hotseat-next-button');
+  hotseatEls.rematchButton = document.getElementById('hotseat-rematch-button');
+  hotseatEls.newGameButton = document.getElementById('hotseat-new-game-button');
+
+  if (hotseatEls.roundsSelect) {
+    hotseatEls.roundsSelect.innerHTML = HOTSEAT_ROUND_OPTIONS
+      .map(n => `<option value="${n}"${n === 10 ? ' selected' : ''}>${n} rounds</option>`)
+      .join('');
+  }
+
+  for (let i = 0; i < HOTSEAT_MIN_PLAYERS; i++) addPlayerInput();
+
+  hotseatEls.addPlayerButton?.addEventListener('click', () => {
+    addPlayerInput();
+    hotseatEls.playerList.querySelector('li:last-child input')?.focus();
+  });
+
+  hotseatEls.playerList?.addEventListener('click', event => {
+    const button = event.target.closest('button[data-remove]');
+    if (!button) return;
+    button.closest('li').remove();
+    renumberPlayerInputs();
+  });
+
+  hotseatEls.startButton?.addEventListener('click', () => {
+    startHotseatGame({
+      names: Array.from(hotseatEls.playerList.querySelectorAll('input')).map(input => input.value),
+      maxRounds: Number(hotseatEls.roundsSelect.value),
+      suddenDeath: hotseatEls.ruleSelect.value === 'suddenDeath'
+    });
+    renderHotseat();
+  });
+
+  hotseatEls.readyButton?.addEventListener('click', () => {
+    beginHotseatTurn();
+    renderHotseat();
+  });
+
+  hotseatEls.cardLeft?.addEventListener('click', () => onPick('left'));
+  hotseatEls.cardRight?.addEventListener('click', () => onPick('right'));
+  hotseatEls.tieButton?.addEventListener('click', () => onPick(TIE_ID));
+
+  hotseatEls.nextButton?.addEventListener('click', () => {
+    startHotseatRound();
+    renderHotseat();
+  });
+
+  hotseatEls.rematchButton?.addEventListener('click', () => {
+    restartHotseatGame();
+    renderHotseat();
+  });
+
+  hotseatEls.newGameButton?.addEventListener('click', () => {
+    resetHotseat();
+    renderHotseat();
+  });
+
+  renderHotseat();
+}
+
+/* ---------- Setup form ---------- */
+
+function addPlayerInput() {
+  if (!hotseatEls.playerList) return;
+  if (hotseatEls.playerList.children.length >= HOTSEAT_MAX_PLAYERS) return;
+
+  const item = document.createElement('li');
+  item.className = 'hotseat-player-row';
+  item.innerHTML = `
+    <input type="text" maxlength="20" autocomplete="off" />
+    <button type="button" class="control-button" data-remove>Remove</button>`;
+  hotseatEls.playerList.appendChild(item);
+  renumberPlayerInputs();
+}
+
+function renumberPlayerInputs() {
+  const rows = Array.from(hotseatEls.playerList.children);
+  rows.forEach((row, i) => {
+    const input = row.querySelector('input');
+    input.placeholder = `Player ${i + 1}`;
+    input.setAttribute('aria-label', `Player ${i + 1} name`);
+    row.querySelector('button[data-remove]').hidden = rows.length <= HOTSEAT_MIN_PLAYERS;
+  });
+
+  if (hotseatEls.addPlayerButton) {
+    hotseatEls.addPlayerButton.disabled = rows.length >= HOTSEAT_MAX_PLAYERS;
+  }
+}
+
+/* ---------- Input ---------- */
+
+function onPick(side) {
+  const state = getHotseatState();
+  if (!state.currentPair) return;
+
+  const selectedId = side === TIE_ID
+    ? TIE_ID
+    : state.currentPair[side].id;
+
+  const result = submitHotseatPick(selectedId);
+  if (!result.valid) return;
+  renderHotseat();
+}
+
+/* ---------- Render ---------- */
+
+export function renderHotseat() {
+  const state = getHotseatState();
+  const inGame = state.phase !== 'setup';
+
+  if (hotseatEls.setup) hotseatEls.setup.hidden = inGame;
+  if (hotseatEls.game) hotseatEls.game.hidden = !inGame;
+  if (!inGame) return;
+
+  renderHotseatStatus(state);
+  renderHotseatHandoff(state);
+  renderHotseatPair(state);
+  renderHotseatResults(state);
+
+  if (hotseatEls.nextButton) hotseatEls.nextButton.hidden = state.phase !== 'reveal';
+  if (hotseatEls.rematchButton) hotseatEls.rematchButton.hidden = state.phase !== 'finished';
+  if (hotseatEls.newGameButton) hotseatEls.newGameButton.hidden = false;
+}
+
+function renderHotseatStatus(state) {
+  if (!hotseatEls.status) return;
+
+  const roundText = state.suddenDeath
+    ? `Round ${state.round} (sudden death)`
+    : `Round ${state.round}/${state.maxRounds}`;
+  const scores = state.players
+    .map(p => `${p.name} ${p.score}${p.eliminatedRound !== null && p.eliminatedRound < state.round ? ' (out)' : ''}`)
+    .join(' · ');
+  hotseatEls.status.textContent = `${roundText} | ${scores}`;
+}
+
+function renderHotseatHandoff(state) {
+  if (!hotseatEls.handoff) return;
+
+  const player = state.players[state.currentPlayer];
+  hotseatEls.handoff.hidden = state.phase !== 'handoff' && state.phase !== 'error';
+  hotseatEls.readyButton.hidden = state.phase === 'error';
+
+  if (state.phase === 'error') {
+    hotseatEls.handoffText.textContent = 'No pair fits these settings. Pick more series or another difficulty in the menu.';
+  } else if (state.phase === 'handoff' && player) {
+    hotseatEls.handoffText.textContent = `Pass the device to ${player.name}. No peeking, everyone else!`;
+    hotseatEls.readyButton.textContent = `I'm ${player.name}, show the pair`;
+  }
+}
+
+function renderHotseatPair(state) {
+  if (!hotseatEls.pair) return;
+
+  // The pair stays hidden during hand-offs so the next player can't see
+  // which card the last one picked (or the cards before their turn)
+  const visible = state.phase === 'picking' || state.phase === 'reveal' || state.phase === 'finished';
+  hotseatEls.pair.hidden = !visible || !state.currentPair;
+  if (!visible || !state.currentPair) return;
+
+  const resolved = state.phase !== 'picking';
+  const { left, right } = state.currentPair;
+
+  [[hotseatEls.cardLeft, left], [hotseatEls.cardRight, right]].forEach(([cardElement, character]) => {
+    if (!cardElement) return;
+    cardElement.setAttribute('aria-disabled', String(resolved));
+
+    let resultClass = '';
+    if (resolved) {
+      resultClass = state.correctId === TIE_ID
+        ? ' vs-card-tie'
+        : character.id === state.correctId ? ' vs-card-correct' : ' vs-card-incorrect';
+    }
+    cardElement.className = 'vs-card' + resultClass;
+
+    cardElement.innerHTML = `
+      <div class="card-inner">
+        <div class="card-name">${escapeHtml(character.name)}</div>
+        <div class="card-origin">${escapeHtml(character.origin)}</div>
+        <div class="card-image-wrapper">
+          <img alt="${escapeHtml(character.name)}" class="card-image" />
+        </div>
+        ${
+          resolved
+            ? `<div class="card-tier">${renderTierLink(character.highestTier)}</div>`
+            : ''
+        }
+      </div>
+    `;
+    loadCharacterImage(cardElement.querySelector('img.card-image'), character);
+  });
+
+  if (hotseatEls.tieButton) {
+    hotseatEls.tieButton.disabled = resolved;
+    hotseatEls.tieButton.classList.toggle('tie-button-answer', resolved && state.correctId === TIE_ID);
+  }
+}
+
+function renderHotseatResults(state) {
+  if (!hotseatEls.results) return;
+
+  const resolved = state.phase === 'reveal' || state.phase === 'finished';
+  if (!resolved) {
+    const player = state.players[state.currentPlayer];
+    hotseatEls.results.textContent = state.phase === 'picking' && player
+      ? `${player.name}, pick the stronger character.`
+      : '';
+    return;
+  }
+
+  const { left, right } = state.currentPair;
+  const pickLabel = pick => (pick === TIE_ID ? 'Tie' : pick === left.id ? left.name : right.name);
+
+  const rows = state.players.map((p, index) => {
+    const winner = state.phase === 'finished' && state.winners.includes(index);
+    const scoreText = `Score ${p.score} · Streak ${p.streak} (best ${p.bestStreak})`;
+
+    // Knocked out in an earlier round: didn't answer this one
+    if (p.eliminatedRound !== null && p.eliminatedRound < state.round) {
+      return `
+      <li class="hotseat-result hotseat-result-out">
+        <span class="hotseat-result-name">${escapeHtml(p.name)}</span>
+        <span>Out since round ${p.eliminatedRound}</span>
+        <span>${scoreText}</span>
+      </li>`;
+    }
+
+    const correct = p.pick === state.correctId;
+    const outNow = p.eliminatedRound === state.round ? ' · Eliminated' : '';
+    return `
+      <li class="hotseat-result ${correct ? 'hotseat-result-correct' : 'hotseat-result-wrong'}">
+        <span class="hotseat-result-name">${winner ? '🏆 ' : ''}${escapeHtml(p.name)}</span>
+        <span>${correct ? '✓' : '✗'} ${escapeHtml(pickLabel(p.pick))}${outNow}</span>
+        <span>${scoreText}</span>
+      </li>`;
+  }).join('');
+
+  let headline = '';
+  if (state.phase === 'finished') {
+    const names = state.winners.map(index => escapeHtml(state.players[index].name));
+    headline = names.length === 1
+      ? `${names[0]} wins!`
+      : `Draw between ${names.join(' and ')}!`;
+  }
+
+  hotseatEls.results.innerHTML = `
+    ${headline ? `<div class="hotseat-headline">${headline}</div>` : ''}
+    <ol class="hotseat-result-list">${rows}</ol>`;
+}
@@ -2,10 +2,18 @@
 // UI for "Odd One Out" mode with updated image handling identical to ui.js.
 
 import { getOddGameState, startNewOddRound, handleOddChoice, restartOddGame } from './gameLogicOdd.js';
-import { getStats } from './stats.js';
-import { getPrimaryImageUrl, getAltImageUrls } from './ui.js'; // <-- re-use same helpers!
+import { getModeStats } from './stats.js';
+import { getDailyAttempt, formatTimeUntilNextDaily } from './daily.js';
+import { buildShareText, copyToClipboard } from './share.js';
+import { loadCharacterImage } from './images.js'; // <-- same image pipeline as VS mode
+import { loadSummary } from './dataLoader.js';
+import { getTierName } from './tierUtils.js';
+import { renderCharacterExplanation, renderOddVerdict } from './explain.js';
+import { renderTierLink } from './uiTierReference.js';
 
 let oddEls = {};
+let oddShareCopied = false;
+let oddInfoPanelVisible = false;
 
 export function initOddUI() {
   oddEls.streakDisplay = document.getElementById('odd-streak-display');
@@ -19,14 +27,26 @@ export function initOddUI() {
 
   oddEls.nextButton = document.getElementById('odd-next-button');
   oddEls.restartButton = document.getElementById('odd-restart-button');
+  oddEls.shareButton = document.getElementById('odd-share-button');
+  oddEls.reviewButton = document.getElementById('odd-review-button');
+  oddEls.infoButton = document.getElementById('odd-info-button');
+  oddEls.infoPanel = document.getElementById('odd-info-panel');
 
   oddEls.cards.forEach((btn, index) => {
     if (!btn) return;
     btn.addEventListener('click', () => onOddCardClick(index));
   });
 
+  oddEls.infoButton?.addEventListener('click', () => {
+    const state = getOddGameState();
+    if (!state.options || state.options.length === 0) return;
+    oddInfoPanelVisible = !oddInfoPanelVisible;
+    renderOdd();
+  });
+
   if (oddEls.nextButton) {
     oddEls.nextButton.addEventListener('click', () => {
+      oddInfoPanelVisible = false;
       startNewOddRound();
       renderOdd();
     });
@@ -34,11 +54,17 @@ export function initOddUI() {
 
   if (oddEls.restartButton) {
     oddEls.restartButton.addEventListener('click', () => {
+      oddShareCopied = false;
+      oddInfoPanelVisible = false;
       restartOddGame();
       renderOdd();
     });
   }
 
+  if (oddEls.shareButton) {
+    oddEls.shareButton.addEventListener('click', shareOddRun);
+  }
+
   renderOdd();
 }
 
@@ -50,27 +76,58 @@ function onOddCardClick(index) {
   const result = handleOddChoice(selectedId);
   if (!result.valid) return;
 
+  // Open the explanation as soon as the round resolves, like VS mode
+  oddInfoPanelVisible = true;
+  renderOdd();
+
+  // Run is over: copy the result grid straight away (still inside the click)
+  if (result.phase === 'afterWrong') {
+    shareOddRun();
+  }
+}
+
+async function shareOddRun() {
+  const state = getOddGameState();
+  if (!state.history.length) return;
+
+  const text = buildShareText({
+    mode: 'odd',
+    daily: state.daily,
+    dailyDate: state.dailyDate,
+    history: state.history
+  });
+
+  oddShareCopied = await copyToClipboard(text);
   renderOdd();
 }
 
 export function renderOdd() {
   const state = getOddGameState();
-  const stats = getStats();
+  const stats = getModeStats('odd', state.difficulty);
 
   renderOddStreak(state, stats);
   renderOddCards(state);
   renderOddButtons(state);
+  renderOddInfoPanel(state);
 }
 
 function renderOddStreak(state, stats) {
   if (!oddEls.streakDisplay) return;
 
+  if (state.phase === 'dailyLocked') {
+    const attempt = getDailyAttempt('odd', state.dailyDate);
+    oddEls.streakDisplay.textContent =
+      `Daily ${state.dailyDate} done, streak: ${attempt ? attempt.streak : 0} | Next daily in ${formatTimeUntilNextDaily()}`;
+    return;
+  }
+
   const total = stats.totalRounds;
   const correct = stats.totalCorrectRounds;
   const best = stats.bestStreak;
 
+  const dailyPrefix = state.daily ? `Daily ${state.dailyDate} | ` : '';
   oddEls.streakDisplay.textContent =
-    `Odd One Out streak: ${state.streak} | Best: ${best} | Correct: ${correct}/${total}`;
+    `${dailyPrefix}Odd One Out streak: ${state.streak} | Best: ${best} | Correct: ${correct}/${total}`;
 }
 
 function renderOddCards(state) {
@@ -82,11 +139,18 @@ function renderOddCards(state) {
   oddEls.cards.forEach((btn, index) => {
     if (!btn) return;
 
-    const c = options[index];
+    // Options from the last round linger when the next one can't be dealt
+    const c = state.phase === 'error' ? null : options[index];
     if (!c) {
       btn.disabled = true;
       btn.className = 'vs-card';
-      btn.textContent = '—';
+      if (state.phase === 'dailyLocked' && index === 0) {
+        btn.textContent = "Today's daily is done. Come back tomorrow!";
+      } else if (state.phase === 'error' && index === 0) {
+        btn.textContent = 'No round fits these settings. Pick more series or another difficulty in the menu.';
+      } else {
+        btn.textContent = '—';
+      }
       return;
     }
 
@@ -98,7 +162,9 @@ function renderOddCards(state) {
       : '';
 
     btn.className = `${baseClass}${extraClass}`;
-    btn.disabled = state.phase !== 'inRound';
+    // Revealed cards only look disabled so their tier link stays clickable
+    btn.disabled = false;
+    btn.setAttribute('aria-disabled', String(state.phase !== 'inRound'));
 
     renderOddCardContent(btn, c, state);
   });
@@ -111,60 +177,29 @@ function renderOddCardContent(cardElement, character, state) {
   }
 
   const isResultPhase = state.phase === 'afterCorrect' || state.phase === 'afterWrong';
-
-  // IMAGE SELECTION — SAME AS VS MODE
-  const primaryImageUrl = getPrimaryImageUrl(character);
-  const altImageUrls = getAltImageUrls(character);
-
-  const hasAnyImage = !!primaryImageUrl || altImageUrls.length > 0;
-  const altImagesAttr = altImageUrls.length ? altImageUrls.join('|') : '';
+  const tierName = getTierName(character.highestTier);
 
   cardElement.innerHTML = `
     <div class="card-inner">
       <div class="card-name">${character.name}</div>
       <div class="card-origin">${character.origin}</div>
       <div class="card-image-wrapper">
-        ${
-          hasAnyImage
-            ? `<img src="${primaryImageUrl || altImageUrls[0]}"
-                     alt="${character.name}"
-                     class="card-image"
-                     data-alt-images="${altImagesAttr}" />`
-            : `<div class="card-image card-image-placeholder">No image</div>`
-        }
+        <img alt="${character.name}" class="card-image" />
       </div>
       ${
         isResultPhase
           ? `<div class="card-tier">
                <span class="card-main-tier">${character.mainTier || '-'}</span>
-               <span class="card-sub-tier">${character.highestTier || '-'}</span>
-             </div>`
+               ${renderTierLink(character.highestTier)}
+             </div>
+             ${tierName ? `<div class="card-tier-name">${tierName}</div>` : ''}`
           : ''
       }
     </div>
   `;
 
-  // FALLBACK LOGIC IDENTICAL TO VS MODE
-  if (hasAnyImage) {
-    const img = cardElement.querySelector('.card-image');
-    if (img) {
-      let altList = [];
-      if (img.dataset.altImages) {
-        altList = img.dataset.altImages.split('|').filter(Boolean);
-        const currentSrc = img.getAttribute('src');
-        altList = altList.filter(url => url !== currentSrc);
-      }
-
-      img.addEventListener('error', function handleError() {
-        if (altList.length > 0) {
-          img.src = altList.shift();
-        } else {
-          img.removeEventListener('error', handleError);
-          img.src = 'https://via.placeholder.com/256x256?text=No+Image';
-        }
-      });
-    }
-  }
+  // thumb -> source -> remote -> placeholder, same as VS mode
+  loadCharacterImage(cardElement.querySelector('.card-image'), character);
 }
 
 function renderOddButtons(state) {
@@ -174,4 +209,49 @@ function renderOddButtons(state) {
   if (oddEls.restartButton) {
     oddEls.restartButton.hidden = state.phase !== 'afterWrong';
   }
+  if (oddEls.shareButton) {
+    oddEls.shareButton.hidden = state.phase !== 'afterWrong';
+    oddEls.shareButton.textContent = oddShareCopied ? 'Copied!' : 'Share result';
+  }
+  if (oddEls.reviewButton) {
+    oddEls.reviewButton.hidden = state.phase !== 'afterWrong';
+  }
+}
+
+function renderOddInfoPanel(state) {
+  if (!oddEls.infoPanel) return;
+
+  const options = state.phase === 'error' ? [] : state.options || [];
+  oddEls.infoButton?.setAttribute('aria-expanded', String(oddInfoPanelVisible));
+
+  if (!oddInfoPanelVisible || options.length === 0) {
+    oddEls.infoPanel.hidden = true;
+    oddEls.infoPanel.innerHTML = '';
+    return;
+  }
+
+  const isResultPhase = state.phase === 'afterCorrect' || state.phase === 'afterWrong';
+
+  // Compact index: summaries are fetched the first time the panel opens
+  if (options.some(c => c.summaryRef)) {
+    Promise.all(options.map(loadSummary)).then(() => renderOdd());
+  }
+
+  const verdict = isResultPhase
+    ? `<p class="info-verdict">${renderOddVerdict(options, state.oddId)}</p>`
+    : '';
+
+  oddEls.infoPanel.hidden = false;
+  oddEls.infoPanel.innerHTML = `
+    ${verdict}
+    ${options.map(c => `
+      <div class="info-side">
+        <h3>${c.name}</h3>
+        <p>${c.summary || (c.summaryRef ? 'Loading summary...' : 'No summary available.')}</p>
+        ${isResultPhase ? renderCharacterExplanation(c) : ''}
+        ${isResultPhase && c.pageUrl
+          ? `<a href="${c.pageUrl}" target="_blank" rel="noopener">Open Wiki for ${c.name}</a>`
+          : ''}
+      </div>`).join('')}
+  `;
 }
@@ -0,0 +1,263 @@
+// js/uiRace.js
+// UI for "Versus a friend": a lobby to join a room on the local relay,
+// then the shared VS pair with both players' points and live streaks.
+
+import {
+  getRaceState,
+  setRaceListener,
+  joinRace,
+  leaveRace,
+  requestRematch,
+  startNextRaceRound,
+  submitRaceAnswer
+} from './gameLogicRace.js';
+import { getDefaultRelayAddress } from './relayClient.js';
+import { whenAllCharactersLoaded } from './dataLoader.js';
+import { TIE_ID } from './tierUtils.js';
+import { loadCharacterImage } from './images.js';
+import { renderTierLink } from './uiTierReference.js';
+
+// How long a round's result stays up before the next pair
+const RACE_NEXT_ROUND_DELAY_MS = 1500;
+
+let raceEls = {};
+let nextRoundTimer = null;
+
+export function initRaceUI() {
+  raceEls.lobby = document.getElementById('race-lobby');
+  raceEls.nameInput = document.getElementById('race-name-input');
+  raceEls.roomInput = document.getElementById('race-room-input');
+  raceEls.serverInput = document.getElementById('race-server-input');
+  raceEls.joinButton = document.getElementById('race-join-button');
+  raceEls.lobbyMessage = document.getElementById('race-lobby-message');
+  raceEls.game = document.getElementById('race-game');
+  raceEls.status = document.getElementById('race-status');
+  raceEls.pair = document.getElementById('race-pair');
+  raceEls.cardLeft = document.getElementById('race-card-left');
+  raceEls.cardRight = document.getElementById('race-card-right');
+  raceEls.tieButton = document.getElementById('race-tie-button');
+  raceEls.feedback = document.getElementById('race-feedback');
+  raceEls.rematchButton = document.getElementById('race-rematch-button');
+  raceEls.leaveButton = document.getElementById('race-leave-button');
+
+  if (raceEls.serverInput && !raceEls.serverInput.value) {
+    raceEls.serverInput.value = getDefaultRelayAddress();
+  }
+
+  setRaceListener(renderRace);
+
+  raceEls.joinButton?.addEventListener('click', onJoin);
+
+  raceEls.cardLeft?.addEventListener('click', () => onPick('left'));
+  raceEls.cardRight?.addEventListener('click', () => onPick('right'));
+  raceEls.tieButton?.addEventListener('click', () => onPick(TIE_ID));
+
+  raceEls.rematchButton?.addEventListener('click', () => {
+    requestRematch();
+  });
+
+  raceEls.leaveButton?.addEventListener('click', () => {
+    stopRace();
+    renderRace();
+  });
+
+  renderRace();
+}
+
+/**
+ * Leave the room and stop the round timer, e.g. when switching modes.
+ */
+export function stopRace() {
+  clearNextRoundTimer();
+  leaveRace();
+}
+
+/* ---------- Input ---------- */
+
+async function onJoin() {
+  const room = raceEls.roomInput.value.trim();
+  if (!room) {
+    raceEls.lobbyMessage.textContent = 'Pick a room code and share it with your friend.';
+    return;
+  }
+
+  // Both players must deal from the full pool, like the daily challenge
+  raceEls.joinButton.disabled = true;
+  raceEls.lobbyMessage.textContent = 'Loading every tier...';
+  await whenAllCharactersLoaded();
+  raceEls.joinButton.disabled = false;
+
+  joinRace({
+    address: raceEls.serverInput.value.trim() || getDefaultRelayAddress(),
+    room,
+    name: raceEls.nameInput.value.trim()
+  });
+  renderRace();
+}
+
+function onPick(side) {
+  const state = getRaceState();
+  if (!state.currentPair) return;
+
+  const selectedId = side === TIE_ID
+    ? TIE_ID
+    : state.currentPair[side].id;
+
+  const result = submitRaceAnswer(selectedId);
+  if (!result.valid) return;
+  renderRace();
+}
+
+/* ---------- Round timer ---------- */
+
+function clearNextRoundTimer() {
+  if (nextRoundTimer !== null) {
+    clearTimeout(nextRoundTimer);
+    nextRoundTimer = null;
+  }
+}
+
+function scheduleNextRound(state) {
+  if (state.phase !== 'roundOver') {
+    clearNextRoundTimer();
+    return;
+  }
+  if (nextRoundTimer !== null) return;
+
+  nextRoundTimer = setTimeout(() => {
+    nextRoundTimer = null;
+    startNextRaceRound();
+    renderRace();
+  }, RACE_NEXT_ROUND_DELAY_MS);
+}
+
+/* ---------- Render ---------- */
+
+export function renderRace() {
+  const state = getRaceState();
+  const inLobby = state.phase === 'lobby' || state.phase === 'connecting';
+
+  if (raceEls.lobby) raceEls.lobby.hidden = !inLobby;
+  if (raceEls.game) raceEls.game.hidden = inLobby;
+
+  if (raceEls.lobbyMessage) {
+    raceEls.lobbyMessage.textContent = state.phase === 'connecting'
+      ? 'Connecting to the relay...'
+      : state.message;
+  }
+  if (raceEls.joinButton) raceEls.joinButton.disabled = state.phase === 'connecting';
+
+  scheduleNextRound(state);
+  if (inLobby) return;
+
+  renderRaceStatus(state);
+  renderRaceCards(state);
+  renderRaceFeedback(state);
+
+  if (raceEls.rematchButton) {
+    raceEls.rematchButton.hidden = state.phase !== 'finished' && state.phase !== 'error';
+  }
+}
+
+function playerLabel(state, player) {
+  return player.id === state.you ? 'You' : player.name;
+}
+
+function renderRaceStatus(state) {
+  if (!raceEls.status) return;
+
+  if (state.phase === 'waiting') {
+    raceEls.status.textContent = `Room "${state.room}": waiting for a friend to join...`;
+    return;
+  }
+
+  // Own line first, in the same shape as the VS streak display, then
+  // the opponent's live score and streak beside it
+  const players = [...state.players].sort((a, b) => (a.id === state.you ? -1 : b.id === state.you ? 1 : 0));
+  const parts = players.map(p =>
+    `${playerLabel(state, p)}: ${p.score} pt${p.score === 1 ? '' : 's'}, streak ${p.streak}`
+  );
+  raceEls.status.textContent = `${parts.join(' | ')} | First to ${state.target}`;
+}
+
+function renderRaceCards(state) {
+  if (!raceEls.pair) return;
+
+  const showPair = !!state.currentPair && state.phase !== 'waiting';
+  raceEls.pair.hidden = !showPair;
+  if (!showPair) return;
+
+  const resolved = state.phase === 'roundOver' || state.phase === 'finished';
+  const locked = resolved || state.phase !== 'playing' || state.pick !== null;
+  const { left, right } = state.currentPair;
+
+  [[raceEls.cardLeft, left], [raceEls.cardRight, right]].forEach(([cardElement, character]) => {
+    if (!cardElement) return;
+    // Revealed cards stay clickable so their tier link works
+    cardElement.disabled = locked && !resolved;
+    cardElement.setAttribute('aria-disabled', String(locked));
+
+    let resultClass = '';
+    if (resolved) {
+      resultClass = state.correctId === TIE_ID
+        ? ' vs-card-tie'
+        : character.id === state.correctId ? ' vs-card-correct' : ' vs-card-incorrect';
+    } else if (state.pick === character.id) {
+      resultClass = state.pick === state.correctId ? ' vs-card-correct' : ' vs-card-incorrect';
+    }
+    cardElement.className = 'vs-card' + resultClass;
+
+    cardElement.innerHTML = `
+      <div class="card-inner">
+        <div class="card-name">${character.name}</div>
+        <div class="card-origin">${character.origin}</div>
+        <div class="card-image-wrapper">
+          <img alt="${character.name}" class="card-image" />
+        </div>
+        ${
+          resolved
+            ? `<div class="card-tier">${renderTierLink(character.highestTier)}</div>`
+            : ''
+        }
+      </div>
+    `;
+    loadCharacterImage(cardElement.querySelector('img.card-image'), character);
+  });
+
+  if (raceEls.tieButton) {
+    raceEls.tieButton.disabled = locked;
+    raceEls.tieButton.classList.toggle('tie-button-answer', resolved && state.correctId === TIE_ID);
+  }
+}
+
+function renderRaceFeedback(state) {
+  if (!raceEls.feedback) return;
+
+  const opponent = state.players.find(p => p.id !== state.you);
+  const winner = state.players.find(p => p.id === state.roundWinner);
+  let text = state.message;
+
+  if (state.phase === 'finished') {
+    text = winner && winner.id === state.you
+      ? 'You win the race!'
+      : `${winner ? winner.name : 'Your friend'} wins the race.`;
+  } else if (state.phase === 'roundOver') {
+    if (!winner) {
+      text = 'Nobody got that one.';
+    } else {
+      text = winner.id === state.you ? 'You got it first!' : `${winner.name} got it first.`;
+    }
+  } else if (state.phase === 'playing') {
+    if (state.pick !== null && state.pick !== state.correctId) {
+      text = 'Wrong! Locked out until the next pair.';
+    } else if (state.pick !== null) {
+      text = 'Correct! Checking who was first...';
+    } else if (opponent && state.missed.includes(opponent.id)) {
+      text = `${opponent.name} missed. It's all yours!`;
+    } else {
+      text = '';
+    }
+  }
+
+  raceEls.feedback.textContent = text;
+}
@@ -0,0 +1,225 @@
+// js/uiRank.js
+// UI for ranking mode: a sortable list of five characters.
+// Reorder by dragging the handle (mouse or touch, via pointer events),
+// with the up/down buttons, or from the keyboard: Space picks a card up,
+// the arrow keys move it, Space drops it again.
+
+import {
+  RANK_MAX_SCORE,
+  getRankState,
+  startNewRankRound,
+  moveRankCard,
+  setRankOrder,
+  submitRanking,
+  restartRankGame
+} from './gameLogicRank.js';
+import { getModeStats } from './stats.js';
+import { loadCharacterImage } from './images.js';
+import { renderTierLink } from './uiTierReference.js';
+
+let rankEls = {};
+
+// Keyboard "picked up" card id, so focus can follow it across re-renders
+let grabbedId = null;
+
+// Active pointer drag: { pointerId, item }
+let drag = null;
+
+export function initRankUI() {
+  rankEls.status = document.getElementById('rank-status');
+  rankEls.list = document.getElementById('rank-list');
+  rankEls.feedback = document.getElementById('rank-feedback');
+  rankEls.submitButton = document.getElementById('rank-submit-button');
+  rankEls.nextButton = document.getElementById('rank-next-button');
+  rankEls.restartButton = document.getElementById('rank-restart-button');
+
+  rankEls.list?.addEventListener('click', onListClick);
+  rankEls.list?.addEventListener('keydown', onListKeyDown);
+  rankEls.list?.addEventListener('pointerdown', onPointerDown);
+  rankEls.list?.addEventListener('pointermove', onPointerMove);
+  rankEls.list?.addEventListener('pointerup', onPointerUp);
+  rankEls.list?.addEventListener('pointercancel', onPointerUp);
+
+  rankEls.submitButton?.addEventListener('click', () => {
+    grabbedId = null;
+    submitRanking();
+    renderRank();
+  });
+
+  rankEls.nextButton?.addEventListener('click', () => {
+    startNewRankRound();
+    renderRank();
+  });
+
+  rankEls.restartButton?.addEventListener('click', () => {
+    restartRankGame();
+    renderRank();
+  });
+
+  renderRank();
+}
+
+/* ---------- Buttons + keyboard ---------- */
+
+function onListClick(event) {
+  const button = event.target.closest('button[data-move]');
+  if (!button) return;
+
+  const index = Number(button.closest('li').dataset.index);
+  const delta = button.dataset.move === 'up' ? -1 : 1;
+  moveRankCard(index, index + delta);
+  renderRank();
+}
+
+function onListKeyDown(event) {
+  const item = event.target.closest('li[data-id]');
+  if (!item || event.target !== item) return;
+  if (getRankState().phase !== 'inRound') return;
+
+  const index = Number(item.dataset.index);
+  const id = item.dataset.id;
+
+  if (event.key === ' ' || event.key === 'Enter') {
+    event.preventDefault();
+    grabbedId = grabbedId === id ? null : id;
+    renderRank();
+    return;
+  }
+
+  if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+  event.preventDefault();
+  const delta = event.key === 'ArrowUp' ? -1 : 1;
+
+  if (grabbedId === id) {
+    moveRankCard(index, index + delta);
+    renderRank();
+  } else {
+    rankEls.list.querySelector(`li[data-index="${index + delta}"]`)?.focus();
+  }
+}
+
+/* ---------- Pointer drag (mouse + touch) ---------- */
+
+function onPointerDown(event) {
+  const handle = event.target.closest('.rank-handle');
+  if (!handle || getRankState().phase !== 'inRound') return;
+
+  const item = handle.closest('li[data-id]');
+  event.preventDefault();
+  rankEls.list.setPointerCapture?.(event.pointerId);
+  drag = { pointerId: event.pointerId, item };
+  item.classList.add('rank-item-dragging');
+}
+
+function onPointerMove(event) {
+  if (!drag || event.pointerId !== drag.pointerId) return;
+
+  // Move the dragged item before the first sibling whose midpoint is below the pointer
+  const siblings = Array.from(rankEls.list.querySelectorAll('li[data-id]'))
+    .filter(li => li !== drag.item);
+  const before = siblings.find(li => {
+    const rect = li.getBoundingClientRect();
+    return event.clientY < rect.top + rect.height / 2;
+  });
+
+  if (before) {
+    if (drag.item.nextElementSibling !== before) {
+      rankEls.list.insertBefore(drag.item, before);
+    }
+  } else if (rankEls.list.lastElementChild !== drag.item) {
+    rankEls.list.appendChild(drag.item);
+  }
+}
+
+function onPointerUp(event) {
+  if (!drag || event.pointerId !== drag.pointerId) return;
+
+  drag.item.classList.remove('rank-item-dragging');
+  drag = null;
+
+  const ids = Array.from(rankEls.list.querySelectorAll('li[data-id]')).map(li => li.dataset.id);
+  setRankOrder(ids);
+  renderRank();
+}
+
+/* ---------- Render ---------- */
+
+export function renderRank() {
+  const state = getRankState();
+
+  renderRankStatus(state);
+  renderRankList(state);
+  renderRankFeedback(state);
+
+  if (rankEls.submitButton) rankEls.submitButton.hidden = state.phase !== 'inRound';
+  if (rankEls.nextButton) rankEls.nextButton.hidden = state.phase !== 'afterSubmit';
+  if (rankEls.restartButton) rankEls.restartButton.hidden = state.phase !== 'error';
+}
+
+function renderRankStatus(state) {
+  if (!rankEls.status) return;
+  const stats = getModeStats('rank', state.difficulty);
+  rankEls.status.textContent =
+    `Perfect streak: ${state.streak} | Best: ${stats.bestStreak} | Perfect: ${stats.totalCorrectRounds}/${stats.totalRounds}`;
+}
+
+function renderRankList(state) {
+  if (!rankEls.list) return;
+
+  if (state.phase === 'error') {
+    rankEls.list.innerHTML = '<li class="rank-item">Not enough tiers left to deal five characters.</li>';
+    return;
+  }
+
+  const resolved = state.phase === 'afterSubmit';
+  const last = state.cards.length - 1;
+
+  rankEls.list.innerHTML = state.cards.map((c, index) => {
+    const inPlace = resolved && state.correctOrderIds[index] === c.id;
+    const resultClass = resolved ? (inPlace ? ' rank-item-correct' : ' rank-item-incorrect') : '';
+    const grabbedClass = grabbedId === c.id ? ' rank-item-grabbed' : '';
+
+    return `
+      <li class="rank-item${resultClass}${grabbedClass}" data-id="${c.id}" data-index="${index}"
+          tabindex="0" aria-label="${index + 1}. ${c.name}${grabbedId === c.id ? ' (picked up)' : ''}">
+        <span class="rank-position">${index + 1}</span>
+        ${resolved ? '' : '<span class="rank-handle" aria-hidden="true">⋮⋮</span>'}
+        <img alt="" class="rank-thumb" />
+        <span class="rank-text">
+          <span class="card-name">${c.name}</span>
+          <span class="card-origin">${c.origin}</span>
+        </span>
+        ${
+          resolved
+            ? renderTierLink(c.highestTier)
+            : `<span class="rank-moves">
+                 <button data-move="up" aria-label="Move ${c.name} up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                 <button data-move="down" aria-label="Move ${c.name} down" ${index === last ? 'disabled' : ''}>▼</button>
+               </span>`
+        }
+      </li>`;
+  }).join('');
+
+  rankEls.list.querySelectorAll('img.rank-thumb').forEach(img => {
+    loadCharacterImage(img, state.cards[Number(img.closest('li').dataset.index)]);
+  });
+
+  if (grabbedId) {
+    rankEls.list.querySelector(`li[data-id="${CSS.escape(grabbedId)}"]`)?.focus();
+  }
+}
+
+function renderRankFeedback(state) {
+  if (!rankEls.feedback) return;
+
+  if (state.phase !== 'afterSubmit') {
+    rankEls.feedback.textContent = grabbedId
+      ? 'Use the arrow keys to move the card, Space to drop it.'
+      : '';
+    return;
+  }
+
+  rankEls.feedback.textContent = state.score === RANK_MAX_SCORE
+    ? `Perfect order! ${state.score}/${RANK_MAX_SCORE} pairs`
+    : `${state.score}/${RANK_MAX_SCORE} pairs in the right order`;
+}
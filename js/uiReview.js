@@ -0,0 +1,202 @@
+// js/uiReview.js
+// Run review: step back through every pair (VS) or quartet (Odd One Out)
+// of a saved run, with the pick, the right answer, each character's
+// highest tier, summary and wiki link. Opened after a run ends, or from
+// the stats modal for older runs.
+
+import { getSavedRuns } from './runs.js';
+import { getCharacters, loadSummary } from './dataLoader.js';
+import { TIE_ID } from './tierUtils.js';
+import { renderTierLink } from './uiTierReference.js';
+
+const MODE_LABELS = {
+  vs: 'VS Mode',
+  odd: 'Odd One Out'
+};
+
+let reviewEls = {};
+
+// Index into getSavedRuns() and the round shown
+let runIndex = 0;
+let roundIndex = 0;
+
+// Character id -> character, rebuilt when more tier files have loaded
+let characterLookup = null;
+let characterLookupSize = 0;
+
+// Summary fetch for the round shown: { round, promise }, started once
+// so renders while it is pending don't queue more redraws
+let summaryLoad = null;
+
+export function initReviewUI() {
+  reviewEls.modal = document.getElementById('review-modal');
+  reviewEls.runSelect = document.getElementById('review-run-select');
+  reviewEls.roundLabel = document.getElementById('review-round-label');
+  reviewEls.round = document.getElementById('review-round');
+  reviewEls.prevButton = document.getElementById('review-prev-button');
+  reviewEls.nextButton = document.getElementById('review-next-button');
+  reviewEls.closeButton = document.getElementById('review-close-button');
+
+  if (!reviewEls.modal) return;
+
+  document.getElementById('review-button')?.addEventListener('click', () => openReview('vs'));
+  document.getElementById('odd-review-button')?.addEventListener('click', () => openReview('odd'));
+  document.getElementById('stats-review-button')?.addEventListener('click', () => {
+    document.getElementById('stats-modal').hidden = true;
+    openReview();
+  });
+
+  reviewEls.closeButton?.addEventListener('click', closeReview);
+  reviewEls.modal.querySelector('.rules-backdrop')?.addEventListener('click', closeReview);
+
+  reviewEls.runSelect.addEventListener('change', () => {
+    runIndex = Number(reviewEls.runSelect.value);
+    roundIndex = 0;
+    renderReview();
+  });
+
+  reviewEls.prevButton?.addEventListener('click', () => stepRound(-1));
+  reviewEls.nextButton?.addEventListener('click', () => stepRound(1));
+
+  reviewEls.modal.addEventListener('keydown', event => {
+    if (event.target === reviewEls.runSelect) return;
+    if (event.key === 'ArrowLeft') stepRound(-1);
+    else if (event.key === 'ArrowRight') stepRound(1);
+    else if (event.key === 'Escape') closeReview();
+    else return;
+    event.preventDefault();
+  });
+}
+
+/**
+ * Open the review on the newest saved run of `mode` (any mode if omitted).
+ */
+export function openReview(mode = null) {
+  const runs = getSavedRuns();
+  const newest = mode ? runs.findIndex(run => run.mode === mode) : 0;
+  runIndex = Math.max(0, newest);
+  roundIndex = 0;
+
+  populateRunSelect();
+  renderReview();
+  reviewEls.modal.hidden = false;
+  reviewEls.nextButton?.focus();
+}
+
+function closeReview() {
+  reviewEls.modal.hidden = true;
+}
+
+function stepRound(delta) {
+  const run = getSavedRuns()[runIndex];
+  if (!run) return;
+  const next = roundIndex + delta;
+  if (next < 0 || next >= run.rounds.length) return;
+  roundIndex = next;
+  renderReview();
+}
+
+/* ---------- Character lookup ---------- */
+
+// Saved runs only keep snapshots; summaries come from the live data.
+// Key-version cards ("id::key") share the base character's summary.
+function findCharacter(id) {
+  const characters = getCharacters();
+  if (!characterLookup || characterLookupSize !== characters.length) {
+    characterLookup = new Map(characters.map(c => [c.id, c]));
+    characterLookupSize = characters.length;
+  }
+  return characterLookup.get(String(id).split('::')[0]) || null;
+}
+
+/* ---------- Render ---------- */
+
+function formatRunLabel(run) {
+  const when = run.daily
+    ? `Daily ${run.dailyDate}`
+    : new Date(run.date).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  const correct = run.rounds.filter(round => round.correct).length;
+  return `${MODE_LABELS[run.mode] || run.mode} · ${when} · ${correct}/${run.rounds.length} correct`;
+}
+
+function populateRunSelect() {
+  const runs = getSavedRuns();
+  reviewEls.runSelect.innerHTML = runs
+    .map((run, i) => `<option value="${i}">${formatRunLabel(run)}</option>`)
+    .join('');
+  reviewEls.runSelect.value = String(runIndex);
+  reviewEls.runSelect.disabled = runs.length === 0;
+}
+
+function renderReview() {
+  const run = getSavedRuns()[runIndex];
+
+  if (!run) {
+    reviewEls.roundLabel.textContent = '';
+    reviewEls.round.innerHTML = '<p class="stats-empty">No runs saved yet. Finish a VS or Odd One Out run to review it here.</p>';
+    reviewEls.prevButton.disabled = true;
+    reviewEls.nextButton.disabled = true;
+    return;
+  }
+
+  const round = run.rounds[roundIndex];
+  reviewEls.roundLabel.textContent =
+    `Round ${roundIndex + 1} of ${run.rounds.length}${round.correct ? ' · ✓ Correct' : ' · ✗ Missed'}`;
+  reviewEls.prevButton.disabled = roundIndex === 0;
+  reviewEls.nextButton.disabled = roundIndex === run.rounds.length - 1;
+
+  const answerLabel = run.mode === 'odd' ? 'Odd one out' : 'Stronger';
+  const startLoad = summaryLoad?.round !== round;
+  const pending = [];
+
+  const cards = round.characters.map(snapshot => {
+    const live = findCharacter(snapshot.id);
+    if (startLoad && live && live.summaryRef) pending.push(loadSummary(live));
+
+    const summary = live
+      ? live.summary || (live.summaryRef ? 'Loading summary...' : 'No summary available.')
+      : 'This character is no longer in the data.';
+    const name = snapshot.keyName ? `${snapshot.name} (${snapshot.keyName} key)` : snapshot.name;
+
+    const tags = [];
+    if (snapshot.id === round.picked) tags.push('Your pick');
+    if (snapshot.id === round.correctId) tags.push(answerLabel);
+
+    const classes = ['review-character'];
+    if (snapshot.id === round.correctId) classes.push('review-character-correct');
+    else if (snapshot.id === round.picked) classes.push('review-character-picked');
+
+    return `
+      <div class="${classes.join(' ')}">
+        ${tags.length ? `<div class="review-tags">${tags.join(' · ')}</div>` : ''}
+        <div class="card-name">${name}</div>
+        <div class="card-origin">${snapshot.origin}</div>
+        <div class="card-tier">${renderTierLink(snapshot.highestTier)}</div>
+        <p class="review-summary">${summary}</p>
+        ${snapshot.pageUrl
+          ? `<a href="${snapshot.pageUrl}" target="_blank" rel="noopener">Open Wiki for ${snapshot.name}</a>`
+          : ''}
+      </div>`;
+  }).join('');
+
+  // VS rounds can also be answered (or won) with "Tie / Inconclusive"
+  const tieNotes = [];
+  if (round.correctId === TIE_ID) tieNotes.push('Answer: Tie / Inconclusive (same highest tier).');
+  if (round.picked === TIE_ID && round.correctId !== TIE_ID) tieNotes.push('You picked Tie / Inconclusive.');
+
+  reviewEls.round.innerHTML = `
+    <div class="review-characters">${cards}</div>
+    ${tieNotes.map(note => `<p class="review-tie-note">${note}</p>`).join('')}`;
+
+  // Compact index: fetch summaries once, then redraw if still on this round
+  if (pending.length) {
+    summaryLoad = {
+      round,
+      promise: Promise.all(pending).then(() => {
+        if (getSavedRuns()[runIndex]?.rounds[roundIndex] === round && !reviewEls.modal.hidden) {
+          renderReview();
+        }
+      })
+    };
+  }
+}
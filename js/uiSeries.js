@@ -0,0 +1,139 @@
+// js/uiSeries.js
+// Custom series picker in the settings menu: a searchable list of origins
+// with character counts and tier coverage, select all/none for the rows
+// currently shown, franchise presets, and a warning when the selection
+// can't deal rounds.
+
+import { SERIES_PRESETS, getSeriesCoverage, getPresetOrigins, checkSeriesSelection } from './series.js';
+import { escapeHtml } from './html.js';
+
+let seriesEls = {};
+
+// Picked origins. Kept here rather than in the checkboxes because
+// searching hides rows without unselecting them.
+let selected = new Set();
+let coverage = [];
+
+// Difficulty values currently picked in the settings menu (see
+// checkSeriesSelection), so the warning doesn't wait for Apply
+let getPendingSettings = () => ({});
+
+export function initSeriesUI({ getPending } = {}) {
+  if (getPending) getPendingSettings = getPending;
+
+  seriesEls.search = document.getElementById('series-search');
+  seriesEls.selectAllButton = document.getElementById('series-select-all');
+  seriesEls.selectNoneButton = document.getElementById('series-select-none');
+  seriesEls.presets = document.getElementById('series-presets');
+  seriesEls.count = document.getElementById('series-count');
+  seriesEls.warning = document.getElementById('series-warning');
+  seriesEls.list = document.getElementById('series-list');
+
+  if (seriesEls.presets) {
+    seriesEls.presets.innerHTML = Object.entries(SERIES_PRESETS).map(([key, preset]) =>
+      `<button type="button" class="series-preset" data-preset="${key}">${preset.label}</button>`
+    ).join('');
+  }
+
+  seriesEls.search?.addEventListener('input', renderSeriesList);
+
+  seriesEls.selectAllButton?.addEventListener('click', () => {
+    getVisibleOrigins().forEach(origin => selected.add(origin));
+    renderSeriesList();
+  });
+
+  seriesEls.selectNoneButton?.addEventListener('click', () => {
+    getVisibleOrigins().forEach(origin => selected.delete(origin));
+    renderSeriesList();
+  });
+
+  // Presets add to the selection, so "Marvel" + "DC" can be combined
+  seriesEls.presets?.addEventListener('click', event => {
+    const button = event.target.closest('button[data-preset]');
+    if (!button) return;
+    getPresetOrigins(button.dataset.preset).forEach(origin => selected.add(origin));
+    renderSeriesList();
+  });
+
+  seriesEls.list?.addEventListener('change', event => {
+    const checkbox = event.target.closest('input[name="series-filter"]');
+    if (!checkbox) return;
+    if (checkbox.checked) {
+      selected.add(checkbox.value);
+    } else {
+      selected.delete(checkbox.value);
+    }
+    renderSeriesSummary();
+  });
+
+  refreshSeriesCoverage();
+}
+
+/**
+ * Recount origins and tiers, e.g. once every tier file has loaded.
+ */
+export function refreshSeriesCoverage() {
+  coverage = getSeriesCoverage();
+  renderSeriesList();
+}
+
+export function setSelectedSeries(origins) {
+  selected = new Set(origins);
+  renderSeriesList();
+}
+
+export function getSelectedSeries() {
+  return Array.from(selected).sort();
+}
+
+/**
+ * Re-check the warning, e.g. when the difficulty picked in the menu changes.
+ */
+export function refreshSeriesWarning() {
+  renderSeriesSummary();
+}
+
+/* ---------- Render ---------- */
+
+function getVisibleEntries() {
+  const query = (seriesEls.search?.value || '').trim().toLowerCase();
+  if (!query) return coverage;
+  return coverage.filter(entry => entry.origin.toLowerCase().includes(query));
+}
+
+function getVisibleOrigins() {
+  return getVisibleEntries().map(entry => entry.origin);
+}
+
+function renderSeriesList() {
+  if (!seriesEls.list) return;
+
+  const entries = getVisibleEntries();
+  seriesEls.list.innerHTML = entries.length === 0
+    ? '<p class="series-empty">No series match your search.</p>'
+    : entries.map(entry => `
+      <label class="series-option">
+        <input type="checkbox" name="series-filter" value="${escapeHtml(entry.origin)}"
+               ${selected.has(entry.origin) ? 'checked' : ''}>
+        <span class="series-name">${escapeHtml(entry.origin)}</span>
+        <span class="series-meta">
+          ${entry.count} char${entry.count === 1 ? '' : 's'}${
+            entry.mainTiers.length ? ` · Tier${entry.mainTiers.length === 1 ? '' : 's'} ${entry.mainTiers.join(', ')}` : ''
+          }
+        </span>
+      </label>`).join('');
+
+  renderSeriesSummary();
+}
+
+function renderSeriesSummary() {
+  if (seriesEls.count) {
+    seriesEls.count.textContent = `${selected.size} of ${coverage.length} series selected`;
+  }
+
+  if (seriesEls.warning) {
+    const warnings = checkSeriesSelection(getSelectedSeries(), getPendingSettings());
+    seriesEls.warning.hidden = warnings.length === 0;
+    seriesEls.warning.innerHTML = warnings.map(text => `<div>${escapeHtml(text)}</div>`).join('');
+  }
+}
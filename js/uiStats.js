@@ -0,0 +1,198 @@
+// js/uiStats.js
+// Stats modal: per-mode / per-difficulty totals, a histogram of
+// run lengths (like Wordle's guess distribution) and the
+// tier / franchise matchups the player misses most.
+
+import { getModeStats, getPlayedDifficulties, getRunHistory } from './stats.js';
+import { getTierPairBreakdown, getTierGapBreakdown, getOriginBreakdown } from './analytics.js';
+import { escapeHtml } from './html.js';
+
+const MODE_LABELS = {
+  vs: 'VS Mode',
+  odd: 'Odd One Out',
+  blitz: 'Blitz',
+  guess: 'Tier Guess',
+  rank: 'Ranking'
+};
+
+const DIFFICULTY_LABELS = {
+  easy: 'Easy',
+  normal: 'Normal',
+  hard: 'Hard',
+  veryHard: 'Very Hard',
+  daily: 'Daily'
+};
+
+// Run-length buckets for the histogram: [label, min, max]
+const RUN_BUCKETS = [
+  ['0', 0, 0],
+  ['1', 1, 1],
+  ['2', 2, 2],
+  ['3', 3, 3],
+  ['4', 4, 4],
+  ['5-9', 5, 9],
+  ['10-19', 10, 19],
+  ['20-49', 20, 49],
+  ['50+', 50, Infinity]
+];
+
+// Rows shown per trouble-spot list
+const MAX_TROUBLE_ROWS = 5;
+
+let statsEls = {};
+
+export function initStatsUI() {
+  statsEls.button = document.getElementById('stats-button');
+  statsEls.modal = document.getElementById('stats-modal');
+  statsEls.closeButton = document.getElementById('stats-close-button');
+  statsEls.modeSelect = document.getElementById('stats-mode-select');
+  statsEls.difficultySelect = document.getElementById('stats-difficulty-select');
+  statsEls.summary = document.getElementById('stats-summary');
+  statsEls.histogram = document.getElementById('stats-histogram');
+  statsEls.analytics = document.getElementById('stats-analytics');
+
+  if (!statsEls.modal) return;
+
+  statsEls.modeSelect.innerHTML = Object.entries(MODE_LABELS)
+    .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+    .join('');
+
+  statsEls.button?.addEventListener('click', openStats);
+  statsEls.closeButton?.addEventListener('click', closeStats);
+  statsEls.modal.querySelector('.rules-backdrop')?.addEventListener('click', closeStats);
+
+  statsEls.modeSelect.addEventListener('change', () => {
+    populateDifficulties();
+    renderStatsPanel();
+  });
+  statsEls.difficultySelect.addEventListener('change', renderStatsPanel);
+}
+
+function openStats() {
+  populateDifficulties();
+  renderStatsPanel();
+  statsEls.modal.hidden = false;
+}
+
+function closeStats() {
+  statsEls.modal.hidden = true;
+}
+
+function formatDifficultyLabel(key) {
+  return key
+    .split('+')
+    .map(part => {
+      if (part === 'curated') return 'curated pool';
+      if (part === 'custom') return 'custom series';
+      if (part === 'adaptive') return 'adaptive';
+      if (part === 'keys') return 'key versions';
+      if (/^\d+lives$/.test(part)) return `${parseInt(part, 10)} lives`;
+      const gap = part.match(/^gap(\d+)-(\d+|any)$/);
+      if (gap) return gap[2] === 'any' ? `${gap[1]}+ subtier gap` : `${gap[1]}-${gap[2]} subtier gap`;
+      return DIFFICULTY_LABELS[part] || part;
+    })
+    .join(' + ');
+}
+
+function populateDifficulties() {
+  const mode = statsEls.modeSelect.value;
+  const previous = statsEls.difficultySelect.value;
+
+  const difficulties = getPlayedDifficulties(mode);
+  if (!difficulties.includes('normal')) {
+    difficulties.unshift('normal');
+  }
+
+  statsEls.difficultySelect.innerHTML = difficulties
+    .map(key => `<option value="${key}">${formatDifficultyLabel(key)}</option>`)
+    .join('');
+
+  if (difficulties.includes(previous)) {
+    statsEls.difficultySelect.value = previous;
+  }
+}
+
+function renderStatsPanel() {
+  const mode = statsEls.modeSelect.value;
+  const difficulty = statsEls.difficultySelect.value;
+  const totals = getModeStats(mode, difficulty);
+  const runs = getRunHistory(mode, difficulty);
+
+  const accuracy = totals.totalRounds > 0
+    ? Math.round((totals.totalCorrectRounds / totals.totalRounds) * 100)
+    : 0;
+  const averageRun = runs.length > 0
+    ? (runs.reduce((sum, run) => sum + run.length, 0) / runs.length).toFixed(1)
+    : '-';
+
+  statsEls.summary.innerHTML = `
+    <div class="stats-tile"><span class="stats-value">${runs.length}</span><span>Runs</span></div>
+    <div class="stats-tile"><span class="stats-value">${accuracy}%</span><span>Accuracy</span></div>
+    <div class="stats-tile"><span class="stats-value">${totals.bestStreak}</span><span>Best streak</span></div>
+    <div class="stats-tile"><span class="stats-value">${averageRun}</span><span>Avg. run</span></div>
+  `;
+
+  renderHistogram(runs);
+  renderAnalytics(mode);
+}
+
+function renderHistogram(runs) {
+  if (runs.length === 0) {
+    statsEls.histogram.innerHTML = '<p class="stats-empty">No runs yet.</p>';
+    return;
+  }
+
+  const counts = RUN_BUCKETS.map(([, min, max]) =>
+    runs.filter(run => run.length >= min && run.length <= max).length
+  );
+  const maxCount = Math.max(...counts);
+  const lastRun = runs[runs.length - 1];
+
+  statsEls.histogram.innerHTML = RUN_BUCKETS.map(([label, min, max], i) => {
+    const width = Math.max(8, Math.round((counts[i] / maxCount) * 100));
+    const isLast = lastRun.length >= min && lastRun.length <= max;
+    return `
+      <div class="stats-bar-row">
+        <span class="stats-bar-label">${label}</span>
+        <span class="stats-bar${isLast ? ' stats-bar-latest' : ''}" style="width: ${width}%">${counts[i]}</span>
+      </div>`;
+  }).join('');
+}
+
+function formatPercent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+function renderTroubleList(title, rows, formatRow) {
+  const items = rows.slice(0, MAX_TROUBLE_ROWS)
+    .map(row => `<li>${formatRow(row)} <span class="stats-count">(${row.missed}/${row.seen})</span></li>`)
+    .join('');
+  return `
+    <div class="stats-trouble">
+      <h4>${title}</h4>
+      ${items ? `<ul>${items}</ul>` : '<p class="stats-empty">Not enough rounds yet.</p>'}
+    </div>`;
+}
+
+function renderAnalytics(mode) {
+  if (!statsEls.analytics) return;
+
+  const tierPairs = getTierPairBreakdown(mode);
+  const tierGaps = getTierGapBreakdown(mode);
+  const origins = getOriginBreakdown(mode);
+
+  statsEls.analytics.innerHTML = [
+    renderTroubleList('Tier matchups', tierPairs, row => {
+      const [stronger, weaker] = row.key.split('|');
+      return `You miss ${formatPercent(row.missRate)} of ${stronger} vs ${weaker} matchups`;
+    }),
+    renderTroubleList('Tier gaps', tierGaps, row => {
+      const gap = Number(row.key);
+      if (gap === 0) return `Same tier (ties): ${formatPercent(row.missRate)} missed`;
+      return `${gap} subtier${gap === 1 ? '' : 's'} apart: ${formatPercent(row.missRate)} missed`;
+    }),
+    renderTroubleList('Franchises', origins, row =>
+      `${escapeHtml(row.key)}: ${formatPercent(row.missRate)} missed`
+    )
+  ].join('');
+}
@@ -0,0 +1,153 @@
+// js/uiTierReference.js
+// Tier scale reference: the whole TIER_ORDER ladder with each tier's
+// name, what it covers, how many characters top out there and a few
+// samples from the loaded data. Works offline, unlike the wiki link.
+// Opens from the settings menu and from any revealed tier on a card.
+
+import { TIER_ORDER, getTierName, getTierScaleRange, getParentTier } from './tierUtils.js';
+import { getCharacters } from './dataLoader.js';
+
+// Sample characters shown per tier
+const SAMPLES_PER_TIER = 3;
+
+let tierEls = {};
+
+// tier -> { count, samples }, rebuilt every time the modal opens so it
+// picks up tier files that loaded later
+let tierData = new Map();
+
+export function initTierReferenceUI() {
+  tierEls.modal = document.getElementById('tier-modal');
+  tierEls.search = document.getElementById('tier-search');
+  tierEls.list = document.getElementById('tier-list');
+  tierEls.closeButton = document.getElementById('tier-close-button');
+  tierEls.openButton = document.getElementById('tier-reference-button');
+
+  if (!tierEls.modal) return;
+
+  tierEls.openButton?.addEventListener('click', () => openTierReference());
+  tierEls.closeButton?.addEventListener('click', closeTierReference);
+  tierEls.modal.querySelector('.rules-backdrop')?.addEventListener('click', closeTierReference);
+  tierEls.search?.addEventListener('input', () => renderTierList());
+
+  tierEls.modal.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeTierReference();
+  });
+
+  // Revealed tiers are rendered with renderTierLink(). Capture phase, so
+  // the card underneath doesn't also take the click as an answer.
+  document.addEventListener('click', event => {
+    const link = event.target.closest?.('[data-tier-ref]');
+    if (!link) return;
+    event.stopPropagation();
+    event.preventDefault();
+    openTierReference(link.dataset.tierRef);
+  }, true);
+}
+
+/**
+ * Tier label that opens the reference at that tier when clicked.
+ */
+export function renderTierLink(tier, className = 'card-sub-tier') {
+  if (!tier) return `<span class="${className}">-</span>`;
+  return `<span class="${className} tier-link" data-tier-ref="${tier}" title="What is ${tier}? Open the tier scale">${tier}</span>`;
+}
+
+/**
+ * Open the reference, scrolled to `tier` when given.
+ */
+export function openTierReference(tier = null) {
+  buildTierData();
+  if (tierEls.search) tierEls.search.value = '';
+  renderTierList(tier);
+  tierEls.modal.hidden = false;
+
+  const focused = tier && tierEls.list.querySelector('.tier-row-focus');
+  if (focused) {
+    focused.scrollIntoView?.({ block: 'center' });
+  } else {
+    tierEls.search?.focus();
+  }
+}
+
+function closeTierReference() {
+  tierEls.modal.hidden = true;
+}
+
+/* ---------- Data ---------- */
+
+function buildTierData() {
+  const byTier = new Map();
+  for (const c of getCharacters()) {
+    if (!c.highestTier) continue;
+    if (!byTier.has(c.highestTier)) byTier.set(c.highestTier, []);
+    byTier.get(c.highestTier).push(c);
+  }
+
+  tierData = new Map();
+  for (const tier of TIER_ORDER) {
+    const characters = byTier.get(tier) || [];
+    tierData.set(tier, {
+      count: characters.length,
+      samples: pickSamples(characters, SAMPLES_PER_TIER)
+    });
+  }
+}
+
+function pickSamples(characters, count) {
+  const pool = [...characters];
+  const picked = [];
+  while (pool.length > 0 && picked.length < count) {
+    const index = Math.floor(Math.random() * pool.length);
+    picked.push(pool.splice(index, 1)[0]);
+  }
+  return picked;
+}
+
+/* ---------- Render ---------- */
+
+function matchesQuery(tier, query) {
+  if (!query) return true;
+  const parent = getParentTier(tier);
+  const haystack = [tier, getTierName(tier), getTierScaleRange(tier), parent]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return haystack.includes(query);
+}
+
+function renderTierList(focusTier = null) {
+  if (!tierEls.list) return;
+
+  const query = (tierEls.search?.value || '').trim().toLowerCase();
+  const tiers = TIER_ORDER.filter(tier => matchesQuery(tier, query));
+
+  if (tiers.length === 0) {
+    tierEls.list.innerHTML = '<p class="stats-empty">No tier matches your search.</p>';
+    return;
+  }
+
+  tierEls.list.innerHTML = tiers.map(tier => {
+    const { count, samples } = tierData.get(tier) || { count: 0, samples: [] };
+    const classes = ['tier-row'];
+    if (!getParentTier(tier)) classes.push('tier-row-parent');
+    if (tier === focusTier) classes.push('tier-row-focus');
+
+    const name = getTierName(tier);
+    const range = getTierScaleRange(tier);
+    const sampleText = samples.length
+      ? `e.g. ${samples.map(c => `${c.name} (${c.origin})`).join(', ')}`
+      : 'No characters top out here yet.';
+
+    return `
+      <div class="${classes.join(' ')}">
+        <div class="tier-row-head">
+          <span class="card-sub-tier">${tier}</span>
+          ${name ? `<strong>${name}</strong>` : ''}
+          <span class="stats-count">${count} character${count === 1 ? '' : 's'}</span>
+        </div>
+        ${range ? `<div class="tier-row-range">${range}</div>` : ''}
+        <div class="tier-row-samples">${sampleText}</div>
+      </div>`;
+  }).join('');
+}
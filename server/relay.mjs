@@ -0,0 +1,465 @@
+// server/relay.mjs
+// Local relay for "Versus a friend" races. Serves the site itself and
+// relays race messages over a small hand-rolled WebSocket endpoint, so
+// two browsers on the same network can play without any outside service.
+//
+// The relay never deals pairs: it hands both players the same seed and
+// each browser draws the same pairs with gameLogic.js. It only decides
+// who answered a round correctly first and keeps the score.
+//
+// It trusts the browsers: whether an answer was correct is what the
+// client reports, since the relay has no character data to check it
+// against. That's fine for friends racing on one network; don't expose
+// it as a public, competitive server.
+//
+// Usage: node server/relay.mjs [--port 8787]
+//   then open http://<this machine's address>:8787/ on both devices,
+//   pick "Versus a friend" and join the same room code.
+
+import http from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_PORT = 8787;
+
+const RELAY_PATH = '/relay';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const PLAYERS_PER_ROOM = 2;
+const POINTS_TO_WIN = 10;
+// Per message, counting every fragment of it
+const MAX_MESSAGE_BYTES = 4096;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+/* ---------- Static files ---------- */
+
+async function serveStatic(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+    return;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    res.writeHead(400).end();
+    return;
+  }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+
+  // Stay inside the repo, and keep dotfiles (.git, .github) private
+  const filePath = path.join(ROOT, pathname);
+  const relative = path.relative(ROOT, filePath);
+  if (relative.startsWith('..') || relative.split(path.sep).some(part => part.startsWith('.'))) {
+    res.writeHead(404).end();
+    return;
+  }
+
+  try {
+    const info = await stat(filePath);
+    if (!info.isFile()) throw new Error('not a file');
+    const body = await readFile(filePath);
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': body.length,
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  } catch {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+  }
+}
+
+/* ---------- WebSocket framing ---------- */
+
+function acceptKey(key) {
+  return createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Wrap an upgraded socket as a minimal WebSocket connection: text
+ * messages in (client frames are always masked), text messages out.
+ */
+function createConnection(socket, { onMessage, onClose }) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let messageOpcode = null; // opcode of the first frame of the message being read
+  let closed = false;
+
+  const connection = {
+    send(data) {
+      if (closed) return;
+      socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(data))));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code);
+      socket.end(encodeFrame(0x8, payload));
+      finish();
+    }
+  };
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    onClose(connection);
+  }
+
+  function readFrames() {
+    // Once closed, frames still in the buffer are dropped unread
+    while (!closed && buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      if (!masked) {
+        connection.close(1002);
+        return;
+      }
+      // 1009: message too big
+      if (length > MAX_MESSAGE_BYTES) {
+        connection.close(1009);
+        return;
+      }
+      if (buffer.length < offset + 4 + length) return;
+
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffer = buffer.subarray(offset + 4 + length);
+
+      if (opcode === 0x8) {
+        connection.close();
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload));
+        continue;
+      }
+      if (opcode === 0xa) continue; // pong
+
+      // A continuation needs a message to continue, a new message needs
+      // the last one finished (1002: protocol error)
+      if ((opcode === 0x0) !== (messageOpcode !== null)) {
+        connection.close(1002);
+        return;
+      }
+      if (opcode !== 0x0) messageOpcode = opcode;
+      // 1003: only text messages are accepted
+      if (messageOpcode !== 0x1) {
+        connection.close(1003);
+        return;
+      }
+
+      // Continuation frames count toward the same message limit
+      fragmentBytes += payload.length;
+      if (fragmentBytes > MAX_MESSAGE_BYTES) {
+        connection.close(1009);
+        return;
+      }
+      fragments.push(payload);
+      if (!fin) continue;
+
+      const text = Buffer.concat(fragments).toString('utf8');
+      fragments = [];
+      fragmentBytes = 0;
+      messageOpcode = null;
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        continue;
+      }
+      if (message && typeof message === 'object') onMessage(connection, message);
+    }
+  }
+
+  socket.on('data', chunk => {
+    if (closed) return;
+    buffer = Buffer.concat([buffer, chunk]);
+    readFrames();
+  });
+  socket.on('close', finish);
+  socket.on('error', finish);
+
+  return connection;
+}
+
+function handleUpgrade(req, socket) {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  const key = req.headers['sec-websocket-key'];
+
+  if (pathname !== RELAY_PATH || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    // The client may already be gone; a write error must not crash the relay
+    socket.on('error', () => {});
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  createConnection(socket, { onMessage: handleMessage, onClose: leaveRoom });
+}
+
+/* ---------- Rooms ---------- */
+
+// room code -> { code, players: [{ id, name, score, streak, connection }],
+//                seed, round, missed: Set of player ids, pairKey, over }
+const rooms = new Map();
+
+// connection -> { room, player }
+const members = new Map();
+
+let nextPlayerId = 1;
+
+function publicPlayers(room) {
+  return room.players.map(({ id, name, score, streak }) => ({ id, name, score, streak }));
+}
+
+function broadcast(room, message) {
+  room.players.forEach(player => player.connection.send(message));
+}
+
+function cleanText(value, maxLength) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+function startRace(room) {
+  room.seed = randomBytes(4).readUInt32BE(0);
+  room.round = 0;
+  room.missed = new Set();
+  room.pairKey = null;
+  room.over = false;
+  room.players.forEach(player => {
+    player.score = 0;
+    player.streak = 0;
+  });
+
+  broadcast(room, {
+    type: 'start',
+    seed: room.seed,
+    target: POINTS_TO_WIN,
+    players: publicPlayers(room)
+  });
+}
+
+function resolveRound(room, winnerId) {
+  room.players.forEach(player => {
+    if (player.id === winnerId) {
+      player.score += 1;
+      player.streak += 1;
+    } else {
+      player.streak = 0;
+    }
+  });
+
+  const winner = room.players.find(player => player.id === winnerId);
+  const over = !!winner && winner.score >= POINTS_TO_WIN;
+
+  broadcast(room, {
+    type: 'round',
+    round: room.round,
+    winner: winnerId,
+    over,
+    players: publicPlayers(room)
+  });
+
+  room.round += 1;
+  room.missed = new Set();
+  room.pairKey = null;
+  room.over = over;
+}
+
+function joinRoom(connection, message) {
+  if (members.has(connection)) return;
+
+  const code = cleanText(message.room, 24).toLowerCase();
+  if (!code) {
+    connection.send({ type: 'error', message: 'Enter a room code.' });
+    return;
+  }
+
+  if (!rooms.has(code)) rooms.set(code, { code, players: [] });
+  const room = rooms.get(code);
+
+  if (room.players.length >= PLAYERS_PER_ROOM) {
+    connection.send({ type: 'error', message: `Room "${code}" is full.` });
+    return;
+  }
+
+  const player = {
+    id: nextPlayerId++,
+    name: cleanText(message.name, 20) || `Player ${room.players.length + 1}`,
+    score: 0,
+    streak: 0,
+    connection
+  };
+  room.players.push(player);
+  members.set(connection, { room, player });
+
+  connection.send({ type: 'joined', room: code, you: player.id, players: publicPlayers(room) });
+
+  if (room.players.length === PLAYERS_PER_ROOM) {
+    startRace(room);
+  } else {
+    broadcast(room, { type: 'waiting', players: publicPlayers(room) });
+  }
+}
+
+function handleAnswer(connection, message) {
+  const member = members.get(connection);
+  if (!member) return;
+  const { room, player } = member;
+
+  // Late answers for a round that's already been won are dropped
+  if (room.over || room.seed === undefined || message.round !== room.round) return;
+  if (room.missed.has(player.id)) return;
+
+  // Both browsers should have dealt the same pair; if not, their data differs
+  const pairKey = cleanText(message.pair, 400);
+  if (room.pairKey === null) {
+    room.pairKey = pairKey;
+  } else if (pairKey !== room.pairKey) {
+    room.over = true;
+    broadcast(room, {
+      type: 'error',
+      message: 'Your games got out of sync. Reload both pages from the same relay and try again.'
+    });
+    return;
+  }
+
+  if (message.correct) {
+    resolveRound(room, player.id);
+    return;
+  }
+
+  // A wrong answer locks the player out of this round; if everyone
+  // missed, nobody scores and the next pair comes up
+  room.missed.add(player.id);
+  broadcast(room, { type: 'miss', round: room.round, player: player.id });
+  if (room.missed.size === room.players.length) {
+    resolveRound(room, null);
+  }
+}
+
+function handleMessage(connection, message) {
+  switch (message.type) {
+    case 'join':
+      joinRoom(connection, message);
+      break;
+    case 'answer':
+      handleAnswer(connection, message);
+      break;
+    case 'rematch': {
+      const member = members.get(connection);
+      if (member && member.room.players.length === PLAYERS_PER_ROOM && member.room.over) {
+        startRace(member.room);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+function leaveRoom(connection) {
+  const member = members.get(connection);
+  if (!member) return;
+  members.delete(connection);
+
+  const { room, player } = member;
+  room.players = room.players.filter(p => p !== player);
+
+  if (room.players.length === 0) {
+    rooms.delete(room.code);
+    return;
+  }
+
+  // The race can't go on alone; whoever stays waits for a new opponent
+  room.seed = undefined;
+  room.over = true;
+  broadcast(room, { type: 'left', player: player.id, players: publicPlayers(room) });
+}
+
+/* ---------- Main ---------- */
+
+function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex >= 0 ? Number(args[portIndex + 1]) : Number(process.env.PORT) || DEFAULT_PORT;
+
+  const server = http.createServer((req, res) => {
+    serveStatic(req, res).catch(() => {
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+  server.on('upgrade', handleUpgrade);
+
+  server.listen(port, () => {
+    console.log(`Vsrdle relay on http://localhost:${port}/ (WebSocket ${RELAY_PATH})`);
+    console.log('Open that address (with this machine\'s LAN IP) on both devices.');
+  });
+}
+
+main();
@@ -0,0 +1,201 @@
+// sw.js
+// Service worker for offline play. Serves the app shell and tier data
+// from cache and refreshes them in the background (stale-while-revalidate);
+// when a refreshed file differs from the cached copy, open pages are told
+// so they can offer a reload. Card thumbnails are cached on first use, or
+// all at once when the player asks for it from the settings menu.
+
+// Bump when the list below changes so old shell caches are dropped
+const CACHE_VERSION = 'v10';
+const SHELL_CACHE = `vsrdle-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'vsrdle-data';
+const IMAGE_CACHE = 'vsrdle-images';
+
+// Everything index.html needs to boot. Keep in sync with js/.
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'assets/icon.svg',
+  'css/style.css',
+  'js/analytics.js',
+  'js/daily.js',
+  'js/dataLoader.js',
+  'js/explain.js',
+  'js/gameLogic.js',
+  'js/gameLogicBlitz.js',
+  'js/gameLogicGuess.js',
+  'js/gameLogicHotseat.js',
+  'js/gameLogicOdd.js',
+  'js/gameLogicRace.js',
+  'js/gameLogicRank.js',
+  'js/html.js',
+  'js/images.js',
+  'js/main.js',
+  'js/pwa.js',
+  'js/relayClient.js',
+  'js/rng.js',
+  'js/runs.js',
+  'js/series.js',
+  'js/settings.js',
+  'js/share.js',
+  'js/stats.js',
+  'js/tierUtils.js',
+  'js/ui.js',
+  'js/uiBlitz.js',
+  'js/uiGuess.js',
+  'js/uiHotseat.js',
+  'js/uiOdd.js',
+  'js/uiRace.js',
+  'js/uiRank.js',
+  'js/uiReview.js',
+  'js/uiSeries.js',
+  'js/uiStats.js',
+  'js/uiTierReference.js'
+];
+
+// Same list as TIER_FILES in js/dataLoader.js
+const TIER_FILES = Array.from({ length: 12 }, (_, i) => `Tier_${i}.json`);
+
+// Thumbnails fetched per batch when caching every card image
+const IMAGE_BATCH_SIZE = 20;
+
+/* ---------- Install / activate ---------- */
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+
+    // Tier data is best effort: the compact index when deployed,
+    // the raw tier files otherwise
+    const data = await caches.open(DATA_CACHE);
+    const dataFiles = ['data/tier_hierachy.txt', 'data/micro_origins_summary.txt'];
+    const manifest = await fetch('data/index/manifest.json').catch(() => null);
+    if (manifest?.ok) {
+      await data.put('data/index/manifest.json', manifest);
+      dataFiles.push(...TIER_FILES.map(file => `data/index/${file}`));
+    } else {
+      dataFiles.push(...TIER_FILES.map(file => `data/tiers/${file}`));
+    }
+    await Promise.allSettled(dataFiles.map(url => data.add(url)));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('vsrdle-') && !keep.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/* ---------- Fetch ---------- */
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  const path = url.pathname.slice(self.registration.scope.length - self.location.origin.length);
+
+  if (path.startsWith('thumbs/') || path.startsWith('images/')) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+  } else if (path.startsWith('data/')) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE, 'data'));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, 'app'));
+  }
+});
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Answer from cache when possible, refresh the cached copy in the
+ * background and tell open pages when it changed (`kind` is 'app' or
+ * 'data'). Falls back to the network when nothing is cached yet.
+ */
+async function staleWhileRevalidate(event, cacheName, kind) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const refresh = fetch(request).then(async response => {
+    if (!response.ok) return response;
+    await cache.put(request, response.clone());
+    if (cached && hasChanged(cached, response)) {
+      notifyClients({ type: 'update-available', kind, url: request.url });
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// GitHub Pages sends ETag / Last-Modified; without either, assume unchanged
+function hasChanged(cached, fresh) {
+  for (const header of ['etag', 'last-modified']) {
+    const before = cached.headers.get(header);
+    const after = fresh.headers.get(header);
+    if (before && after) return before !== after;
+  }
+  return false;
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+/* ---------- Messages from the page ---------- */
+
+self.addEventListener('message', event => {
+  if (event.data?.type === 'cache-images') {
+    event.waitUntil(cacheImages(event.data.urls || [], event.source));
+  }
+});
+
+/**
+ * Cache every card thumbnail the page sent, reporting progress back.
+ * Already-cached files are skipped, so this can be re-run to resume.
+ */
+async function cacheImages(urls, client) {
+  const cache = await caches.open(IMAGE_CACHE);
+  let done = 0;
+  let failed = 0;
+
+  for (let i = 0; i < urls.length; i += IMAGE_BATCH_SIZE) {
+    const batch = urls.slice(i, i + IMAGE_BATCH_SIZE);
+    const results = await Promise.allSettled(batch.map(async url => {
+      if (await cache.match(url)) return;
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`status ${response.status}`);
+      await cache.put(url, response);
+    }));
+
+    done += batch.length;
+    failed += results.filter(result => result.status === 'rejected').length;
+    client?.postMessage({ type: 'cache-images-progress', done, failed, total: urls.length });
+  }
+}
@@ -0,0 +1,70 @@
+// tools/build-index.mjs
+// Builds the compact character index the site loads first:
+//   data/index/Tier_X.json            { fields, rows } without summaries
+//   data/index/summaries/Tier_X.json  summaries, one per row (loaded on demand)
+//   data/index/manifest.json          file list + character counts
+// js/dataLoader.js falls back to data/tiers/*.json when the index is missing.
+//
+// Usage: node tools/build-index.mjs
+
+import { readFile, writeFile, mkdir, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TIERS_DIR = path.join(ROOT, 'data', 'tiers');
+const INDEX_DIR = path.join(ROOT, 'data', 'index');
+const SUMMARIES_DIR = path.join(INDEX_DIR, 'summaries');
+
+// Raw fields the game reads (see normalizeCharacter); everything else is dropped
+const FIELDS = [
+  'ID', 'Name', 'Origin', 'Tier', 'mainTier', 'AllTier', 'Key',
+  'Number', 'PageURL', 'ImageURL', 'source', 'thumb'
+];
+
+async function buildFile(file) {
+  const rows = JSON.parse(await readFile(path.join(TIERS_DIR, file), 'utf8'));
+  if (!Array.isArray(rows)) {
+    throw new Error(`${file} does not contain an array`);
+  }
+
+  const summaries = rows.map(raw => raw.Summary || raw.summaary || '');
+
+  // Summaries that are only a tier line ("Tier: At least 7-A") stay in
+  // the index as TierLine; the comparison reads "At least" from them.
+  const compact = {
+    fields: [...FIELDS, 'TierLine'],
+    rows: rows.map((raw, i) => [
+      ...FIELDS.map(field => raw[field] ?? null),
+      /^Tier:/i.test(summaries[i]) ? summaries[i] : null
+    ])
+  };
+
+  await writeFile(path.join(INDEX_DIR, file), JSON.stringify(compact));
+  await writeFile(path.join(SUMMARIES_DIR, file), JSON.stringify(summaries));
+
+  return { file, count: rows.length };
+}
+
+async function main() {
+  await mkdir(SUMMARIES_DIR, { recursive: true });
+
+  const files = (await readdir(TIERS_DIR))
+    .filter(name => /^Tier_\d+\.json$/.test(name))
+    .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10));
+
+  const manifest = { version: 1, files: [] };
+  for (const file of files) {
+    const entry = await buildFile(file);
+    manifest.files.push(entry);
+    console.log(`${file}: ${entry.count} characters`);
+  }
+
+  await writeFile(path.join(INDEX_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  console.log(`Wrote ${manifest.files.length} index files to ${path.relative(ROOT, INDEX_DIR)}/`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
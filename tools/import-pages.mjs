@@ -0,0 +1,361 @@
+// tools/import-pages.mjs
+// Regenerates the tier data from saved VS Battles wiki character pages:
+//   <out>/tiers/Tier_X.json            rows in the shape normalizeCharacter reads
+//   <out>/micro_origins_summary.txt    whitelisted origins with their Numbers
+// Works fully offline. Pages can be wikitext (.wiki / .txt, e.g. from
+// Special:Export or the edit box) or saved HTML (.html / .htm).
+//
+// Like the existing data, every character gets one row per entry of its
+// AllTier list (a bare "7" heading plus each 7-x subtier), sharded into
+// Tier_N.json by main tier.
+//
+// Usage: node tools/import-pages.mjs <pagesDir> --out <dir> [--whitelist <file>]
+//   --out        where to write tiers/ and micro_origins_summary.txt
+//                (use --out data to replace the site's data)
+//   --whitelist  origins for the summary: one per line, or a summary file.
+//                Defaults to the origins in data/micro_origins_summary.txt.
+//
+// Try it on the fixtures, then check the result:
+//   node tools/import-pages.mjs tools/fixtures/import/pages --out /tmp/vsrdle-import \
+//     --whitelist tools/fixtures/import/whitelist.txt
+//   node tools/validate-data.mjs /tmp/vsrdle-import/tiers
+
+import { readFile, writeFile, mkdir, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { TIER_ORDER, setTierHierarchy, isKnownTier, getParentTier, getChildTiers } from '../js/tierUtils.js';
+import { normalizeCharacter, parseMicroOrigins } from '../js/dataLoader.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const HIERARCHY_FILE = path.join(ROOT, 'data', 'tier_hierachy.txt');
+const DEFAULT_WHITELIST = path.join(ROOT, 'data', 'micro_origins_summary.txt');
+
+const WIKI_URL = 'https://vsbattles.fandom.com/wiki/';
+const PAGE_EXTENSIONS = ['.wiki', '.txt', '.html', '.htm'];
+
+// "9-B", "High 8-C", "Low 2-C", "Tier 0"
+const TIER_TOKEN = /\b(?:(?:High|Low)\s+)?\d{1,2}-[A-C]\b|\bTier\s+\d{1,2}\b/g;
+
+/* ---------- Wikitext ---------- */
+
+function stripMarkup(text) {
+  let out = text
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<ref[^>]*\/>/gi, '')
+    .replace(/<ref[^>]*>[\s\S]*?<\/ref>/gi, '');
+
+  // Templates, innermost first
+  let previous;
+  do {
+    previous = out;
+    out = out.replace(/\{\{[^{}]*\}\}/g, '');
+  } while (out !== previous);
+
+  return out
+    .replace(/\[\[(?:File|Image):[^\]]*\]\]/gi, '')
+    .replace(/\[\[[^\]|]*\|([^\]]*)\]\]/g, '$1')
+    .replace(/\[\[([^\]]*)\]\]/g, '$1')
+    .replace(/\[https?:\/\/\S+\s+([^\]]*)\]/g, '$1')
+    .replace(/'{2,}/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Value of a stats line such as '''Origin''': [[Marvel Comics]]
+// (also '''Origin:''' ...), or null when the page has none
+function getStatLine(wikitext, label) {
+  const pattern = new RegExp(`^\\s*'''${label}(?:''':|:''')\\s*(.*)$`, 'im');
+  const match = wikitext.match(pattern);
+  return match ? match[1].trim() : null;
+}
+
+function getSection(wikitext, heading) {
+  const pattern = new RegExp(`^==\\s*${heading}\\s*==\\s*$([\\s\\S]*?)(?=^==[^=]|$(?![\\s\\S]))`, 'im');
+  const match = wikitext.match(pattern);
+  return match ? match[1] : '';
+}
+
+function getImageFile(wikitext) {
+  const infobox = wikitext.match(/\|\s*image\d*\s*=\s*([^|\n}]+)/i);
+  const link = wikitext.match(/\[\[(?:File|Image):([^|\]]+)/i);
+  const name = (infobox?.[1] || link?.[1] || '').replace(/^(?:File|Image):/i, '').trim();
+  return name || null;
+}
+
+/* ---------- Saved HTML ---------- */
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function getMeta(html, property) {
+  const match = html.match(new RegExp(`<meta[^>]+property="${property}"[^>]+content="([^"]*)"`, 'i'));
+  return match ? decodeEntities(match[1]) : null;
+}
+
+/**
+ * Turn a saved page into { title, wikitext, imageUrl, pageUrl }. Pages
+ * saved from the edit screen carry the wikitext in #wpTextbox1; rendered
+ * pages are folded back into wikitext-like lines (bold -> ''', headings
+ * -> ==X==) so both go through the same stats parser.
+ */
+function readHtmlPage(html) {
+  const heading = html.match(/<h1[^>]*id="firstHeading"[^>]*>([\s\S]*?)<\/h1>/i);
+  const titleTag = html.match(/<title>([^<|]*)/i);
+  const title = decodeEntities(
+    (heading ? heading[1].replace(/<[^>]+>/g, '') : titleTag?.[1] || '').trim()
+  );
+
+  const canonical = html.match(/<link[^>]+rel="canonical"[^>]+href="([^"]*)"/i);
+  const pageUrl = canonical ? decodeEntities(canonical[1]) : getMeta(html, 'og:url');
+  const imageUrl = getMeta(html, 'og:image');
+
+  const editBox = html.match(/<textarea[^>]*id="wpTextbox1"[^>]*>([\s\S]*?)<\/textarea>/i);
+  if (editBox) {
+    return { title, wikitext: decodeEntities(editBox[1]), imageUrl, pageUrl };
+  }
+
+  const body = html.match(/<div[^>]*class="mw-parser-output"[^>]*>([\s\S]*)/i)?.[1] || html;
+  const wikitext = decodeEntities(body
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h2[^>]*>([\s\S]*?)<\/h2>/gi, (_, inner) => {
+      // Skip the "[edit]" links next to the heading text
+      const headline = inner.match(/class="mw-headline"[^>]*>([\s\S]*?)<\/span>/i)?.[1] || inner;
+      return `\n==${headline.replace(/<[^>]+>/g, '').trim()}==\n`;
+    })
+    .replace(/<\/?(?:b|strong)>/gi, "'''")
+    .replace(/<br\s*\/?>|<\/(?:p|li|div|tr|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ''));
+
+  return { title, wikitext, imageUrl, pageUrl };
+}
+
+/* ---------- Page -> rows ---------- */
+
+function titleFromFilename(file) {
+  const base = path.basename(file, path.extname(file));
+  let decoded = base;
+  try {
+    decoded = decodeURIComponent(base);
+  } catch (err) {
+    // keep the raw name
+  }
+  return decoded.replace(/_/g, ' ').trim();
+}
+
+// Image file name as the data stores it in `source`
+function imageFileFromUrl(url) {
+  try {
+    let pathname = new URL(url).pathname;
+    const revisionIndex = pathname.indexOf('/revision/');
+    if (revisionIndex !== -1) pathname = pathname.slice(0, revisionIndex);
+    return decodeURIComponent(pathname.split('/').pop() || '') || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Tier tokens from the Tier stats line, laid out the way the data does:
+ * for each main tier, strongest first, its bare number ("7") followed by
+ * the subtiers listed ("7-A", "Low 7-B"). Tier 0 is just "0".
+ */
+function buildAllTier(tierLine) {
+  const found = new Set(
+    (stripMarkup(tierLine).match(TIER_TOKEN) || [])
+      .map(token => token.replace(/\s+/g, ' '))
+      .filter(isKnownTier)
+  );
+
+  const allTier = [];
+  for (const tier of TIER_ORDER) {
+    if (getParentTier(tier)) continue; // subtiers are handled with their parent
+
+    const subtiers = getChildTiers(tier).filter(child => found.has(child));
+    if (found.has(tier) || subtiers.length > 0) {
+      allTier.push(tier.match(/\d+/)[0], ...subtiers);
+    }
+  }
+  return allTier;
+}
+
+function parsePage(file, content) {
+  const isHtml = /\.html?$/i.test(file);
+  const page = isHtml
+    ? readHtmlPage(content)
+    : { title: null, wikitext: content, imageUrl: null, pageUrl: null };
+
+  const wikitext = page.wikitext.replace(/\r\n/g, '\n');
+  const name = page.title || titleFromFilename(file);
+
+  const tierLine = getStatLine(wikitext, 'Tier');
+  const allTier = tierLine ? buildAllTier(tierLine) : [];
+
+  const originLine = getStatLine(wikitext, 'Origin');
+  const origin = (originLine && stripMarkup(originLine)) || 'Unknown';
+
+  // Keep the bold markup: parseKeys() splits "'''A''' | '''B'''"
+  const keyLine = getStatLine(wikitext, 'Key');
+  const key = keyLine
+    ? keyLine.replace(/<ref[^>]*>[\s\S]*?<\/ref>/gi, '').replace(/\[\[[^\]|]*\|([^\]]*)\]\]/g, '$1').trim()
+    : 'nan';
+
+  const imageFile = page.imageUrl ? imageFileFromUrl(page.imageUrl) : getImageFile(wikitext);
+  const source = imageFile ? imageFile.replace(/ /g, '_') : null;
+  const imageUrl = page.imageUrl || (source ? `${WIKI_URL}Special:FilePath/${source}` : null);
+
+  return {
+    name,
+    origin,
+    key: key || 'nan',
+    allTier,
+    summary: stripMarkup(getSection(wikitext, 'Summary')),
+    imageUrl,
+    pageUrl: page.pageUrl || `${WIKI_URL}${name.replace(/ /g, '_')}`,
+    source
+  };
+}
+
+function buildRows(characters) {
+  const rows = [];
+
+  for (const c of characters) {
+    for (const tier of c.allTier) {
+      const mainNumber = Number(tier.match(/\d+/)[0]);
+      rows.push({
+        Tier: tier,
+        mainTier: `Tier ${mainNumber}`,
+        Name: c.name,
+        Origin: c.origin,
+        Key: c.key,
+        ImageURL: c.imageUrl || 'nan',
+        PageURL: c.pageUrl,
+        Summary: c.summary,
+        AllTier: c.allTier,
+        ID: `${c.name}-${c.origin.replace(/\s+/g, '')}-${tier}`,
+        Number: 0,
+        source: c.source || 'nan',
+        thumb: c.source ? `thumbs/${c.source}` : 'nan'
+      });
+    }
+  }
+
+  // Stable Numbers: by main tier, then ladder position, then name
+  const ladderIndex = tier => TIER_ORDER.indexOf(/^\d+$/.test(tier) ? `Tier ${Number(tier)}` : tier);
+  rows.sort((a, b) =>
+    parseInt(a.mainTier.slice(5), 10) - parseInt(b.mainTier.slice(5), 10) ||
+    ladderIndex(a.Tier) - ladderIndex(b.Tier) ||
+    a.Name.localeCompare(b.Name)
+  );
+  rows.forEach((row, i) => {
+    row.Number = i + 1;
+  });
+
+  return rows;
+}
+
+/* ---------- Output ---------- */
+
+async function loadWhitelist(file) {
+  const text = await readFile(file, 'utf8');
+  if (/^Origin:/m.test(text)) {
+    return Array.from(parseMicroOrigins(text).keys());
+  }
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function buildMicroSummary(rows, whitelist) {
+  const title = 'Micro Tier Origins Summary (Whitelist Origins)';
+  const lines = [title, '='.repeat(title.length - 1), ''];
+
+  const sorted = [...whitelist].sort((a, b) => a.localeCompare(b));
+  for (const origin of sorted) {
+    const numbers = rows.filter(row => row.Origin === origin).map(row => row.Number);
+    if (numbers.length === 0) continue;
+    lines.push(`Origin: ${origin}`, `Entries in micro JSONs: ${numbers.length}`, `Numbers: ${numbers.join(', ')}`, '');
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+async function writeTierFiles(outDir, rows) {
+  const tiersDir = path.join(outDir, 'tiers');
+  await mkdir(tiersDir, { recursive: true });
+
+  // Every main tier gets a file, so a refresh can't leave stale ones behind
+  const mainNumbers = TIER_ORDER.filter(tier => !getParentTier(tier)).map(tier => Number(tier.match(/\d+/)[0]));
+  for (const n of mainNumbers) {
+    const fileRows = rows.filter(row => row.mainTier === `Tier ${n}`);
+    const json = JSON.stringify(fileRows, null, 2).replace(/\n/g, '\r\n');
+    await writeFile(path.join(tiersDir, `Tier_${n}.json`), json);
+    console.log(`Tier_${n}.json: ${fileRows.length} rows`);
+  }
+}
+
+/* ---------- Main ---------- */
+
+function parseArgs(argv) {
+  const args = { pagesDir: null, out: null, whitelist: DEFAULT_WHITELIST };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--whitelist') args.whitelist = argv[++i];
+    else if (!args.pagesDir) args.pagesDir = argv[i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.pagesDir || !args.out) {
+    console.error('Usage: node tools/import-pages.mjs <pagesDir> --out <dir> [--whitelist <file>]');
+    process.exit(1);
+  }
+
+  const hierarchy = await readFile(HIERARCHY_FILE, 'utf8');
+  setTierHierarchy(hierarchy.split('\n'));
+
+  const files = (await readdir(args.pagesDir))
+    .filter(name => PAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort();
+
+  const characters = [];
+  for (const file of files) {
+    const content = await readFile(path.join(args.pagesDir, file), 'utf8');
+    const character = parsePage(file, content);
+    if (character.allTier.length === 0) {
+      console.warn(`Skipping ${file}: no tier found`);
+      continue;
+    }
+    characters.push(character);
+  }
+
+  const rows = buildRows(characters);
+
+  // Same normalization the site runs, so broken rows fail here instead
+  const unplayable = rows.filter(row => !normalizeCharacter(row).highestTier);
+  if (unplayable.length > 0) {
+    throw new Error(`${unplayable.length} rows have no highestTier, e.g. ${unplayable[0].ID}`);
+  }
+
+  await writeTierFiles(args.out, rows);
+
+  const whitelist = await loadWhitelist(args.whitelist);
+  await writeFile(path.join(args.out, 'micro_origins_summary.txt'), buildMicroSummary(rows, whitelist));
+
+  console.log(`Imported ${characters.length} of ${files.length} pages (${rows.length} rows) into ${args.out}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+// tools/validate-data.mjs
+// Checks data/tiers/*.json for problems that break rounds silently.
+// Every row goes through the game's own normalizeCharacter, so the
+// checks see exactly what the site would.
+//
+// Errors (exit code 1):
+//   - duplicate IDs across files
+//   - entries whose highestTier is null
+//   - Tier values missing from the row's AllTier
+//   - tier strings the hierarchy doesn't know
+// Warnings (exit code 1 only with --strict):
+//   - the same Name+Origin key under different IDs (getCharacterKey
+//     dedupes by name while handleChoice compares ids)
+//   - "nan" placeholders in Key / ImageURL / source
+//   - the "summaary" typo instead of Summary
+//
+// Usage: node tools/validate-data.mjs [tiersDir] [--all] [--strict]
+//   tiersDir  folder of Tier_X.json files (default data/tiers, e.g. the
+//             tiers/ folder written by tools/import-pages.mjs)
+//   --all     list every occurrence instead of the first few per check
+
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { setTierHierarchy } from '../js/tierUtils.js';
+import { normalizeCharacter } from '../js/dataLoader.js';
+import { getCharacterKey } from '../js/gameLogic.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_TIERS_DIR = path.join(ROOT, 'data', 'tiers');
+const HIERARCHY_FILE = path.join(ROOT, 'data', 'tier_hierachy.txt');
+
+const EXAMPLES_PER_CHECK = 5;
+const NAN_FIELDS = ['Key', 'ImageURL', 'source'];
+
+const CHECKS = [
+  { id: 'duplicateId', level: 'error', title: 'Duplicate IDs' },
+  { id: 'nullHighestTier', level: 'error', title: 'No highestTier (character never dealt)' },
+  { id: 'tierNotInAllTier', level: 'error', title: 'Tier value missing from AllTier' },
+  { id: 'unknownTier', level: 'error', title: 'Unknown tier strings' },
+  { id: 'duplicateKey', level: 'warning', title: 'Name+Origin shared by different IDs' },
+  { id: 'nanPlaceholder', level: 'warning', title: '"nan" placeholders' },
+  { id: 'summaryTypo', level: 'warning', title: '"summaary" instead of Summary' }
+];
+
+function isNan(value) {
+  return typeof value === 'string' && value.trim().toLowerCase() === 'nan';
+}
+
+function describe(file, raw) {
+  return `${file}: ${raw.Name || '(no name)'} [${raw.ID || 'no ID'}]`;
+}
+
+async function loadRows(tiersDir) {
+  const files = (await readdir(tiersDir))
+    .filter(name => /^Tier_\d+\.json$/.test(name))
+    .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10));
+
+  const rows = [];
+  for (const file of files) {
+    const json = JSON.parse(await readFile(path.join(tiersDir, file), 'utf8'));
+    if (!Array.isArray(json)) {
+      throw new Error(`${file} does not contain an array`);
+    }
+    json.forEach(raw => rows.push({ file, raw }));
+  }
+  return { files, rows };
+}
+
+function validate(rows) {
+  const issues = new Map(CHECKS.map(check => [check.id, []]));
+  const add = (id, message) => issues.get(id).push(message);
+
+  const byId = new Map();   // ID -> [where]
+  const idsByKey = new Map(); // Name::Origin -> Set of IDs
+
+  for (const { file, raw } of rows) {
+    const c = normalizeCharacter(raw);
+    const where = describe(file, raw);
+
+    if (raw.ID) {
+      if (!byId.has(raw.ID)) byId.set(raw.ID, []);
+      byId.get(raw.ID).push(file);
+    }
+
+    const key = getCharacterKey(c);
+    if (!idsByKey.has(key)) idsByKey.set(key, new Set());
+    idsByKey.get(key).add(c.id);
+
+    if (!c.highestTier) {
+      add('nullHighestTier', `${where} AllTier=${JSON.stringify(raw.AllTier ?? null)}`);
+    }
+
+    const allTier = Array.isArray(raw.AllTier) ? raw.AllTier.map(String) : [];
+    if (raw.Tier !== undefined && raw.Tier !== null && !allTier.includes(String(raw.Tier))) {
+      add('tierNotInAllTier', `${where} Tier=${JSON.stringify(raw.Tier)} AllTier=${JSON.stringify(allTier)}`);
+    }
+
+    if (c.unknownTiers.length > 0) {
+      add('unknownTier', `${where} ${c.unknownTiers.map(t => JSON.stringify(t)).join(', ')}`);
+    }
+
+    const nanFields = NAN_FIELDS.filter(field => isNan(raw[field]));
+    if (nanFields.length > 0) {
+      add('nanPlaceholder', `${where} ${nanFields.join(', ')}`);
+    }
+
+    if ('summaary' in raw) {
+      add('summaryTypo', where);
+    }
+  }
+
+  for (const [id, files] of byId) {
+    if (files.length > 1) {
+      add('duplicateId', `${id} x${files.length} (${Array.from(new Set(files)).join(', ')})`);
+    }
+  }
+
+  for (const [key, ids] of idsByKey) {
+    if (ids.size > 1) {
+      add('duplicateKey', `${key} under ${ids.size} IDs`);
+    }
+  }
+
+  return issues;
+}
+
+function report(issues, { all }) {
+  let errors = 0;
+  let warnings = 0;
+
+  for (const check of CHECKS) {
+    const found = issues.get(check.id);
+    if (check.level === 'error') errors += found.length;
+    else warnings += found.length;
+
+    const mark = found.length === 0 ? 'ok' : check.level;
+    console.log(`[${mark}] ${check.title}: ${found.length}`);
+
+    const shown = all ? found : found.slice(0, EXAMPLES_PER_CHECK);
+    shown.forEach(message => console.log(`    ${message}`));
+    if (shown.length < found.length) {
+      console.log(`    ... ${found.length - shown.length} more (use --all)`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const all = args.includes('--all');
+  const strict = args.includes('--strict');
+  const tiersDir = path.resolve(args.find(arg => !arg.startsWith('--')) || DEFAULT_TIERS_DIR);
+
+  const hierarchy = await readFile(HIERARCHY_FILE, 'utf8');
+  setTierHierarchy(hierarchy.split('\n'));
+
+  const { files, rows } = await loadRows(tiersDir);
+  const shownDir = tiersDir.startsWith(ROOT) ? path.relative(ROOT, tiersDir) : tiersDir;
+  console.log(`Checking ${rows.length} rows from ${files.length} files in ${shownDir}/`);
+
+  const { errors, warnings } = report(validate(rows), { all });
+  console.log(`${errors} error(s), ${warnings} warning(s)`);
+
+  if (errors > 0 || (strict && warnings > 0)) {
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});